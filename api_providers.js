@@ -1,4 +1,6 @@
 import { fal } from 'https://esm.sh/@fal-ai/client@1.2.1';
+import { httpFetch, withRetries, HttpError, isRetryableError, wasNotProcessed, isAbortError, sleep, abortable, transportFetch } from './http_client.js';
+import { instrumentProvider } from './cassette.js';
 
 // =============================================================================
 // Base Provider Class
@@ -13,6 +15,10 @@ export class ApiProvider {
         this.name = config.name;
         this.capabilities = config.capabilities || [];
         // Capabilities: 'text-to-image', 'image-to-image', 'llm', 'vision'
+        // Local servers (ComfyUI, etc.) work without a key
+        this.requiresApiKey = config.requiresApiKey !== false;
+        // Whether aborting a submitted job cancels it on the server (else it runs to the end)
+        this.cancelsJobs = config.cancelsJobs === true;
     }
 
     async setApiKey(key) { throw new Error("Not implemented"); }
@@ -20,35 +26,247 @@ export class ApiProvider {
     async uploadImage(blob) { throw new Error("Not implemented"); }
 
     // Core Generation Methods
+    // Every params object may carry `signal` (AbortSignal); providers pass it to their
+    // requests and polling loops and cancel server-side jobs where the API allows it.
+    // generateImage/editImage resolve to an array of image URLs; dynamicParams.num_images
+    // asks for several outputs where the backend supports it. They may also take
+    // `onProgress`, called with { status: 'queued' | 'running' | 'completed', position?,
+    // progress? (0-100), logs? (new lines), elapsedMs } whenever the job's state changes.
+    // Queue-based providers also call `onSubmit({ providerId, endpoint, jobId })` once the job
+    // is accepted, and implement resumeJob() to collect it later (e.g. after a page reload).
     async generateImage(params) { throw new Error("Not implemented"); }
     async editImage(params) { throw new Error("Not implemented"); }
     async generatePrompts(params) { throw new Error("Not implemented"); }
     async captionImage(params) { throw new Error("Not implemented"); }
 
+    // Resolves the image URLs of a job reported through onSubmit; takes { signal, onProgress }
+    async resumeJob(job, params = {}) {
+        throw new Error(`${this.name} can't resume submitted jobs`);
+    }
+
     // Model Discovery
     getSupportedModels() {
         // Returns { imageModels: [...], llmModels: [...] }
         throw new Error("Not implemented");
     }
+
+    // Providers whose model list lives on the server (local WebUIs, etc.)
+    // override this to fetch it; getSupportedModels() stays synchronous
+    async refreshModels() { }
+
+    // Key check for the "Test key" button; `apiKey` tests a key before it is saved.
+    // Resolves { ok, message, capabilities, account }: capabilities maps each declared
+    // capability to true (usable), false or null (not checked); account is getAccountStatus().
+    // Providers without a check keep this default.
+    async testConnection(params = {}) {
+        throw new Error(`${this.name} has no connection test`);
+    }
+
+    // Remaining balance where the API reports it: { credits, unit }, otherwise null
+    async getAccountStatus(params = {}) {
+        return null;
+    }
+
+    _capabilityReport(usable = {}) {
+        return Object.fromEntries(this.capabilities.map(c => [c, usable[c] ?? null]));
+    }
+
+    // testConnection() result for a key the API turned down
+    _rejectedKey(message) {
+        const none = Object.fromEntries(this.capabilities.map(c => [c, false]));
+        return { ok: false, message, capabilities: none, account: null };
+    }
+
+    // Providers with a configurable endpoint (proxies, self-hosted or mock servers)
+    // set `baseUrl` and `defaultBaseUrl` in their constructor
+    setBaseUrl(url) {
+        if (!this.defaultBaseUrl) {
+            throw new Error(`${this.name} does not support a custom base URL`);
+        }
+        this.baseUrl = (url || this.defaultBaseUrl).replace(/\/+$/, '');
+    }
+}
+
+// =============================================================================
+// Shared Helpers
+// =============================================================================
+
+// ~1 megapixel sizes (multiples of 64) for common aspect ratios, used by local SD backends
+const SDXL_SIZES = {
+    '1:1': [1024, 1024],
+    '16:9': [1344, 768],
+    '9:16': [768, 1344],
+    '4:3': [1152, 896],
+    '3:4': [896, 1152]
+};
+
+// Convert raw base64 image data into an object URL usable by <img> and downloadZIP
+function base64ToObjectUrl(base64, mimeType = 'image/png') {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onloadend = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Failed to convert image to base64'));
+        reader.readAsDataURL(blob);
+    });
+}
+
+// data:image/...;base64 URLs become object URLs, like other base64 results
+function dataUrlToObjectUrl(dataUrl) {
+    const [, mimeType, base64] = dataUrl.match(/^data:([^;,]+);base64,(.*)$/s) || [];
+    return base64 ? base64ToObjectUrl(base64.replace(/\s/g, ''), mimeType) : dataUrl;
+}
+
+const MARKDOWN_IMAGE = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+const DATA_IMAGE_URL = /data:image\/[\w.+-]+;base64,[A-Za-z0-9+/=]+/g;
+const BARE_URL = /https?:\/\/[^\s)"'<>\]]+/g;
+const IMAGE_PATH = /\.(png|jpe?g|webp|gif|avif|bmp)$/i;
+
+// Image URLs in free text, in order: markdown images (any URL), data:image URLs, and
+// bare or linked http(s) URLs whose path ends in an image extension
+function findImageUrlsInText(text) {
+    const found = [];
+    for (const match of text.matchAll(MARKDOWN_IMAGE)) {
+        found.push({ index: match.index, url: match[1] });
+    }
+    for (const match of text.matchAll(DATA_IMAGE_URL)) {
+        found.push({ index: match.index, url: match[0] });
+    }
+    for (const match of text.matchAll(BARE_URL)) {
+        const url = match[0].replace(/[.,;:!?]+$/, '');
+        try {
+            if (IMAGE_PATH.test(new URL(url).pathname)) {
+                found.push({ index: match.index, url });
+            }
+        } catch (e) {
+            // Not a parseable URL
+        }
+    }
+    return found.sort((a, b) => a.index - b.index).map(f => f.url);
+}
+
+/**
+ * Collect the images in a chat-completion message from an image model. Handles markdown
+ * content (`![image](https://...)`), inline data URLs, multi-part content with `image_url`
+ * parts, and the `images` array some OpenAI-compatible gateways add to the message.
+ * Returns unique URLs in order; data URLs come back as object URLs.
+ */
+export function extractChatImageUrls(message) {
+    const urls = [];
+    const partUrl = (part) => typeof part?.image_url === 'string' ? part.image_url : part?.image_url?.url;
+
+    const visit = (content) => {
+        if (typeof content === 'string') {
+            urls.push(...findImageUrlsInText(content));
+        } else if (Array.isArray(content)) {
+            for (const part of content) {
+                if (typeof part === 'string' || part?.type === 'text') {
+                    visit(part?.text ?? part);
+                } else if (partUrl(part)) {
+                    urls.push(partUrl(part));
+                } else if (part?.b64_json) {
+                    urls.push(`data:image/png;base64,${part.b64_json}`);
+                }
+            }
+        }
+    };
+
+    visit(message?.content);
+    visit(message?.images);
+
+    return [...new Set(urls)].map(url => url.startsWith('data:') ? dataUrlToObjectUrl(url) : url);
+}
+
+// onProgress wrapper for polling loops: adds elapsedMs and drops reports that repeat the last one
+function createProgressReporter(onProgress, extra = {}) {
+    if (!onProgress) return () => {};
+    const startedAt = Date.now();
+    let last = null;
+    return (report) => {
+        const key = JSON.stringify(report);
+        if (key === last) return;
+        last = key;
+        onProgress({ ...extra, ...report, elapsedMs: Date.now() - startedAt });
+    };
+}
+
+// blob: URLs only exist in this tab, so inline them before sending to a remote API
+async function toPortableImageUrl(url, signal) {
+    if (!url || !url.startsWith('blob:')) return url;
+    const blob = await httpFetch(url, { signal }).then(r => r.blob());
+    return await abortable(blobToDataUrl(blob), signal);
 }
 
 // =============================================================================
 // FAL.ai Provider
 // =============================================================================
 
+const FAL_PROBE_REQUEST_ID = '00000000-0000-0000-0000-000000000000';
+const FAL_POLL_INTERVAL_MS = 1000;
+const FAL_POLLING_DEFAULTS = {
+    timeoutMs: 600000       // Give up on (and cancel) a request after this long
+};
+
 export class FalProvider extends ApiProvider {
     constructor() {
         super({
             id: 'fal',
             name: 'FAL.ai',
-            capabilities: ['text-to-image', 'image-to-image', 'llm', 'vision']
+            capabilities: ['text-to-image', 'image-to-image', 'llm', 'vision'],
+            cancelsJobs: true
         });
+        this.apiKey = null;
+        this.polling = { ...FAL_POLLING_DEFAULTS };
+        // The SDK's requests go through the shared transport so cassettes cover them
+        fal.config({ fetch: transportFetch });
+    }
+
+    configurePolling(overrides = {}) {
+        for (const key of Object.keys(FAL_POLLING_DEFAULTS)) {
+            if (overrides[key] !== undefined && overrides[key] !== null) {
+                this.polling[key] = overrides[key];
+            }
+        }
+        return { ...this.polling };
     }
 
     async setApiKey(key) {
+        this.apiKey = key || null;
         if (key) {
-            fal.config({ credentials: key });
+            fal.config({ credentials: key, fetch: transportFetch });
+        }
+    }
+
+    // FAL has no key-info endpoint. A status lookup for a made-up request ID is refused
+    // (401/403) for a bad key and answered with 404 for a good one, without queueing anything.
+    // One key covers every model, so a valid key means every capability works.
+    async testConnection({ apiKey = this.apiKey, signal } = {}) {
+        const response = await httpFetch(`https://queue.fal.run/fal-ai/any-llm/requests/${FAL_PROBE_REQUEST_ID}/status`, {
+            headers: { 'Authorization': `Key ${apiKey}` },
+            signal,
+            retries: 0
+        });
+
+        if (response.status === 401 || response.status === 403) {
+            return this._rejectedKey(`Key rejected (${response.status})`);
+        }
+        if (response.status >= 500) {
+            throw new HttpError(`FAL.ai unavailable (${response.status})`, { status: response.status });
         }
+        return {
+            ok: true,
+            message: 'Key valid (FAL.ai does not report credits via API)',
+            capabilities: this._capabilityReport(Object.fromEntries(this.capabilities.map(c => [c, true]))),
+            account: null
+        };
     }
 
     async uploadImage(blob) {
@@ -56,20 +274,85 @@ export class FalProvider extends ApiProvider {
         return url;
     }
 
-    // Generic Internal Request
-    async _request(endpoint, input) {
+    // Generic Internal Request. Uses the queue API (submit -> status -> result) instead of
+    // fal.subscribe, so the request ID can be handed to onSubmit and collected after a reload.
+    async _request(endpoint, input, signal, onProgress, onSubmit) {
         try {
             // console.log(`[FAL] Request to ${endpoint}:`, input);
-            const result = await fal.subscribe(endpoint, { input });
+            // The submit is only retried when FAL turned it away; after a timeout or network
+            // error it may already be queued (and billed)
+            const { request_id: requestId } = await withRetries(
+                () => abortable(fal.queue.submit(endpoint, { input, abortSignal: signal }), signal),
+                { signal, shouldRetry: wasNotProcessed }
+            );
+            onSubmit?.({ providerId: this.id, endpoint, jobId: requestId });
+
+            const result = await this._awaitRequest(endpoint, requestId, signal, onProgress);
             // console.log(`[FAL] Response from ${endpoint}:`, result);
-            return result.data || result;
+            return result;
+        } catch (error) {
+            throw this._falError(endpoint, error);
+        }
+    }
+
+    // Poll a queued request until it completes and fetch its result. Status polls carry
+    // the queue position, then every log line so far. A request still unfinished after
+    // polling.timeoutMs is cancelled and fails.
+    async _awaitRequest(endpoint, requestId, signal, onProgress) {
+        const { timeoutMs } = this.polling;
+        const startedAt = Date.now();
+        const report = createProgressReporter(onProgress, { requestId });
+        let logCount = 0;
+        // Cancel the queued/running request so an aborted run stops billing
+        const cancel = () => fal.queue.cancel(endpoint, { requestId }).catch(() => {});
+        signal?.addEventListener('abort', cancel, { once: true });
+
+        try {
+            while (Date.now() - startedAt < timeoutMs) {
+                const update = await withRetries(
+                    () => abortable(fal.queue.status(endpoint, { requestId, logs: !!onProgress }), signal),
+                    { signal }
+                );
+                if (update.status === 'COMPLETED') {
+                    const result = await withRetries(() => abortable(fal.queue.result(endpoint, { requestId }), signal), { signal });
+                    report({ status: 'completed' });
+                    return result.data || result;
+                }
+
+                if (update.status === 'IN_QUEUE') {
+                    report({ status: 'queued', position: update.queue_position });
+                } else if (update.status === 'IN_PROGRESS') {
+                    const logs = (update.logs || []).slice(logCount).map(log => log.message);
+                    logCount += logs.length;
+                    report({ status: 'running', logs });
+                }
+                await sleep(Math.min(FAL_POLL_INTERVAL_MS, Math.max(0, timeoutMs - (Date.now() - startedAt))), signal);
+            }
+
+            cancel();
+            throw new Error(`FAL request ${requestId} timed out after ${Math.round(timeoutMs / 1000)}s`);
+        } finally {
+            signal?.removeEventListener('abort', cancel);
+        }
+    }
+
+    _falError(endpoint, error) {
+        if (isAbortError(error)) return error;
+        console.error(`[FAL] Error ${endpoint}:`, error);
+        return new HttpError(error.message || error.body?.detail || 'FAL API call failed', { status: error.status });
+    }
+
+    // Collect a request submitted before a page reload ({ endpoint, jobId } from onSubmit)
+    async resumeJob({ endpoint, jobId }, { signal, onProgress } = {}) {
+        try {
+            const result = await this._awaitRequest(endpoint, jobId, signal, onProgress);
+            return result.images.map(image => image.url);
         } catch (error) {
-            console.error(`[FAL] Error ${endpoint}:`, error);
-            throw new Error(error.message || error.body?.detail || 'FAL API call failed');
+            throw this._falError(endpoint, error);
         }
     }
 
-    async generateImage({ prompt, aspectRatio, resolution, model, dynamicParams = {} }) {
+    async generateImage({ prompt, aspectRatio, resolution, model, dynamicParams = {}, signal, onProgress, onSubmit }) {
         // Support both legacy and dynamic parameters
         const params = {
             prompt: prompt,
@@ -87,11 +370,11 @@ export class FalProvider extends ApiProvider {
             params.resolution = resolution;
         }
 
-        const result = await this._request(model, params);
-        return result.images[0].url;
+        const result = await this._request(model, params, signal, onProgress, onSubmit);
+        return result.images.map(image => image.url);
     }
 
-    async editImage({ sourceUrl, prompt, resolution, model, editEndpoint, dynamicParams = {} }) {
+    async editImage({ sourceUrl, prompt, resolution, model, editEndpoint, dynamicParams = {}, signal, onProgress, onSubmit }) {
         // Use custom edit endpoint if provided (some generic models might fallback)
         const endpoint = editEndpoint || `${model}/edit`;
 
@@ -110,18 +393,18 @@ export class FalProvider extends ApiProvider {
             params.resolution = resolution;
         }
 
-        const result = await this._request(endpoint, params);
-        return result.images[0].url;
+        const result = await this._request(endpoint, params, signal, onProgress, onSubmit);
+        return result.images.map(image => image.url);
     }
 
-    async generatePrompts({ systemPrompt, userPrompt, count, model }) {
+    async generatePrompts({ systemPrompt, userPrompt, count, model, signal }) {
         // Using fal-ai/any-llm for generic LLM calls
         const result = await this._request('fal-ai/any-llm', {
             model: model,
             system_prompt: systemPrompt,
             prompt: userPrompt,
             max_tokens: 16000
-        });
+        }, signal);
 
         // Parse JSON output
         const text = result.output;
@@ -132,7 +415,7 @@ export class FalProvider extends ApiProvider {
         return JSON.parse(jsonMatch[0]);
     }
 
-    async captionImage({ imageUrl, model }) {
+    async captionImage({ imageUrl, model, signal }) {
         // Using openrouter/vision proxy via FAL
         const result = await this._request('openrouter/router/vision', {
             model: model,
@@ -140,7 +423,7 @@ export class FalProvider extends ApiProvider {
             system_prompt: "Only answer the question, do not provide any additional information. Don't use markdown.",
             image_urls: [imageUrl],
             temperature: 1.0
-        });
+        }, signal);
         return result.output;
     }
 
@@ -179,6 +462,9 @@ export class FalProvider extends ApiProvider {
 // Generic Provider (Configurable via JSON)
 // =============================================================================
 
+// {{path}} or {{path|default}}; paths use the same dot/bracket syntax as responsePath
+const TEMPLATE_PLACEHOLDER = /\{\{\s*([\w.\[\]]+)\s*(?:\|([^}]*))?\}\}/;
+
 export class GenericProvider extends ApiProvider {
     constructor(config) {
         super({
@@ -188,37 +474,148 @@ export class GenericProvider extends ApiProvider {
         });
         this.config = config;
         this.apiKey = null;
+        this.discoveredModels = []; // Filled by refreshModels() from config.modelDiscovery
+        this.trace = null; // Array while testEndpoints() records raw exchanges
     }
 
     async setApiKey(key) {
         this.apiKey = key;
     }
 
-    // JSON Path helper to extract value from response
+    // "upload": "inline" sends images as data URLs; an uploadImage endpoint receives the
+    // blob as multipart field "file" unless its config says otherwise
+    async uploadImage(blob) {
+        if (this.config.endpoints?.uploadImage) {
+            return await this._request('uploadImage', { image: blob }, {
+                bodyType: 'multipart',
+                files: { file: 'image' }
+            });
+        }
+        if (this.config.upload === 'inline') {
+            return await blobToDataUrl(blob);
+        }
+        throw new Error(`${this.name} has no upload endpoint. Set "upload": "inline" or configure endpoints.uploadImage.`);
+    }
+
+    // JSON Path helper to extract value from responses and template data.
+    // Accepts dots and brackets ("data[0].b64_json", "images.0.url"); strings holding
+    // JSON (e.g. Kie's resultJson) are parsed on the way down.
     _getValueByPath(obj, path) {
-        return path.split('.').reduce((o, i) => (o ? o[i] : null), obj);
+        const keys = String(path).replace(/\[(\w+)\]/g, '.$1').split('.').filter(Boolean);
+        return keys.reduce((o, key) => {
+            if (typeof o === 'string' && /^\s*[[{]/.test(o)) {
+                try { o = JSON.parse(o); } catch (e) { return undefined; }
+            }
+            return o === null || o === undefined ? undefined : o[key];
+        }, obj);
+    }
+
+    // Value for one {{path|default}} placeholder, undefined when missing without a default.
+    // Defaults are read as JSON when possible, so {{num_images|1}} gives a number.
+    _resolvePlaceholder(path, fallback, data) {
+        const value = this._getValueByPath(data, path);
+        const missing = value === undefined || value === null || (value === '' && fallback !== undefined);
+        if (!missing) return value;
+        if (fallback === undefined) return undefined;
+        try { return JSON.parse(fallback); } catch (e) { return fallback.trim(); }
     }
 
-    // Template helper to replace {{key}} with values
-    _fillTemplate(templateStr, data) {
-        return templateStr.replace(/\{\{(\w+)\}\}/g, (_, key) => {
-            return data[key] || '';
+    /**
+     * Render a parsed template against `data`:
+     * - a string that is exactly one placeholder ("{{image_size}}") keeps the value's type
+     * - other strings are interpolated ("{{width}}x{{height}}")
+     * - objects and arrays are rendered recursively; missing values without a default drop the key
+     */
+    _renderTemplate(template, data) {
+        if (typeof template === 'string') {
+            const whole = template.match(new RegExp(`^${TEMPLATE_PLACEHOLDER.source}$`));
+            if (whole) return this._resolvePlaceholder(whole[1], whole[2], data);
+            return this._fillString(template, data);
+        }
+        if (Array.isArray(template)) {
+            return template.map(item => this._renderTemplate(item, data)).filter(item => item !== undefined);
+        }
+        if (template && typeof template === 'object') {
+            const rendered = {};
+            for (const [key, value] of Object.entries(template)) {
+                const result = this._renderTemplate(value, data);
+                if (result !== undefined) rendered[key] = result;
+            }
+            return rendered;
+        }
+        return template;
+    }
+
+    // Interpolate placeholders into plain text such as URLs; objects are JSON-encoded
+    _fillString(template, data, encode = (value) => value) {
+        return template.replace(new RegExp(TEMPLATE_PLACEHOLDER.source, 'g'), (_, path, fallback) => {
+            const value = this._resolvePlaceholder(path, fallback, data);
+            if (value === undefined || value === null) return '';
+            return encode(typeof value === 'object' ? JSON.stringify(value) : String(value));
         });
     }
 
-    async _request(action, params) {
-        const actionConfig = this.config.endpoints?.[action];
-        if (!actionConfig) {
-            throw new Error(`Provider ${this.name} does not support ${action}`);
+    // Body templates are stored as JSON text, possibly with bare placeholders such as
+    // {"num_images": {{count}}}. Quote those so the text parses; rendering restores the type.
+    _parseTemplate(template) {
+        if (typeof template !== 'string') return template;
+
+        let text = '';
+        let inString = false;
+        for (let i = 0; i < template.length; i++) {
+            const ch = template[i];
+            if (inString) {
+                text += ch;
+                if (ch === '\\') text += template[++i] ?? '';
+                else if (ch === '"') inString = false;
+            } else if (ch === '"') {
+                inString = true;
+                text += ch;
+            } else if (template.startsWith('{{', i) && template.indexOf('}}', i) > 0) {
+                const end = template.indexOf('}}', i) + 2;
+                text += JSON.stringify(template.slice(i, end));
+                i = end - 1;
+            } else {
+                text += ch;
+            }
         }
 
-        const url = actionConfig.url;
-        const method = actionConfig.method || 'POST';
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw new Error(`${this.name}: body template is not valid JSON (${e.message})`);
+        }
+    }
+
+    // Multipart body: `body` maps form fields to templates, `files` maps form fields to the
+    // param holding an image URL (e.g. { "image": "sourceUrl" }), which is sent as a blob
+    async _buildFormData({ body: fieldTemplates = {}, files = {} }, params) {
+        const formData = new FormData();
+        const fields = this._renderTemplate(this._parseTemplate(fieldTemplates), params);
+
+        for (const [field, value] of Object.entries(fields)) {
+            formData.append(field, typeof value === 'string' ? value : JSON.stringify(value));
+        }
+
+        for (const [field, paramName] of Object.entries(files)) {
+            const image = params[paramName];
+            if (!image) continue;
+            const blob = image instanceof Blob
+                ? image
+                : await httpFetch(image, { signal: params.signal }).then(r => r.blob());
+            formData.append(field, blob, `${field}.${(blob.type.split('/')[1] || 'png')}`);
+        }
+
+        return formData;
+    }
 
-        // Prepare headers
+    // Send one templated request and return the parsed JSON response,
+    // or a Blob when the endpoint returns raw image bytes
+    async _send({ url, method = 'POST', headers: extraHeaders, body: bodyTemplate, bodyType = 'json', files }, params, { binary = false } = {}) {
+        // Prepare headers; fetch sets the multipart boundary itself
         const headers = {
-            'Content-Type': 'application/json',
-            ...actionConfig.headers
+            ...(bodyType === 'multipart' ? {} : { 'Content-Type': 'application/json' }),
+            ...extraHeaders
         };
 
         // Add Auth Header if configured
@@ -230,53 +627,180 @@ export class GenericProvider extends ApiProvider {
 
         // Prepare body
         let body = null;
-        if (actionConfig.body) {
-            // If body is a string template, parse it
-            const bodyStr = typeof actionConfig.body === 'string'
-                ? actionConfig.body
-                : JSON.stringify(actionConfig.body);
-
-            const filledBodyStr = this._fillTemplate(bodyStr, params);
-            body = filledBodyStr; // Send as string (it's JSON)
+        if (bodyType === 'multipart' && method !== 'GET') {
+            body = await this._buildFormData({ body: bodyTemplate, files }, params);
+        } else if (bodyTemplate && method !== 'GET') {
+            body = JSON.stringify(this._renderTemplate(this._parseTemplate(bodyTemplate), params));
         }
 
         // Make Request
-        const response = await fetch(url, {
+        const requestUrl = this._fillString(url, params, encodeURIComponent);
+        const exchange = this.trace && this._traceRequest(method, requestUrl, headers, body);
+        const response = await httpFetch(requestUrl, {
             method,
             headers,
-            body
+            body,
+            signal: params.signal,
+            longRunning: method !== 'GET' // Synchronous endpoints generate before responding
         });
 
+        const contentType = response.headers.get('Content-Type') || '';
+        if (response.ok && (binary || contentType.startsWith('image/'))) {
+            const blob = await response.blob();
+            if (exchange) exchange.response = { status: response.status, body: `[${blob.type || 'binary'}, ${blob.size} bytes]` };
+            return blob;
+        }
+
+        const text = await response.text();
+        if (exchange) exchange.response = { status: response.status, body: text };
+
         if (!response.ok) {
-            const text = await response.text();
-            throw new Error(`${this.name} Error (${response.status}): ${text}`);
+            throw new HttpError(`${this.name} Error (${response.status}): ${text}`, { status: response.status });
         }
 
-        const data = await response.json();
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw new Error(`${this.name}: response is not JSON: ${text.slice(0, 200)}`);
+        }
+    }
+
+    // Record a request for the test harness, with the API key masked
+    _traceRequest(method, url, headers, body) {
+        const authHeader = this.config.auth?.header || 'Authorization';
+        const shownHeaders = { ...headers };
+        if (shownHeaders[authHeader]) shownHeaders[authHeader] = '••••••';
+
+        let shownBody = body;
+        if (body instanceof FormData) {
+            shownBody = [...body.entries()]
+                .map(([key, value]) => `${key}=${value instanceof Blob ? `[${value.type || 'file'}, ${value.size} bytes]` : value}`)
+                .join('\n');
+        }
+
+        const exchange = { request: { method, url, headers: shownHeaders, body: shownBody }, response: null };
+        this.trace.push(exchange);
+        return exchange;
+    }
+
+    // responseFormat: 'url' (default), 'base64' (bare or data: URL), 'binary' (raw image bytes)
+    // or 'chat' (chat-completion message; responsePath may point at the message or its content)
+    _extractResult(data, path, responseFormat = 'url') {
+        if (data instanceof Blob) return URL.createObjectURL(data);
+
+        // Chat-completion image models: images in the message, wherever they are
+        if (responseFormat === 'chat') {
+            const target = path ? this._getValueByPath(data, path) : data.choices?.[0]?.message;
+            const urls = extractChatImageUrls(typeof target === 'string' || Array.isArray(target) ? { content: target } : target);
+            if (urls.length === 0) throw new Error('No image found in chat completion response');
+            return urls;
+        }
+
+        let result = data; // Return full data if no path specified
+        if (path) {
+            result = this._getValueByPath(data, path);
+            if (!result) throw new Error(`Could not find result at path '${path}' in response`);
+        }
+
+        if (responseFormat === 'base64') {
+            const decode = value => typeof value === 'string' && !value.startsWith('data:')
+                ? base64ToObjectUrl(value.replace(/\s/g, ''))
+                : value;
+            return Array.isArray(result) ? result.map(decode) : decode(result);
+        }
+        return result;
+    }
+
+    async _request(action, params, defaults = {}) {
+        if (!this.config.endpoints?.[action]) {
+            throw new Error(`Provider ${this.name} does not support ${action}`);
+        }
+        const actionConfig = { ...defaults, ...this.config.endpoints[action] };
+
+        const responseFormat = actionConfig.responseFormat || 'url';
+        // A job submit always answers with JSON; only the final result can be raw bytes
+        const data = await this._send(actionConfig, params, {
+            binary: responseFormat === 'binary' && !actionConfig.async
+        });
+
+        if (actionConfig.async) {
+            return await this._pollJob(actionConfig.async, data, params, responseFormat);
+        }
 
         // Extract result
-        if (actionConfig.responsePath) {
-            const result = this._getValueByPath(data, actionConfig.responsePath);
-            if (!result) throw new Error(`Could not find result at path '${actionConfig.responsePath}' in response`);
-            return result;
+        return this._extractResult(data, actionConfig.responsePath, responseFormat);
+    }
+
+    /**
+     * Job-based APIs: the submit response holds a job ID, a status endpoint is polled until
+     * it reports success or failure, and the result is read from the final status response
+     * (or from a separate result endpoint). `{{jobId}}` is available in the status/result
+     * URL and body templates.
+     *
+     * async: { jobIdPath, statusUrl, statusMethod, statusPath, successValues, failureValues,
+     *          errorPath, resultUrl, resultMethod, resultPath, pollIntervalMs, timeoutMs }
+     */
+    async _pollJob(asyncConfig, submitData, params, responseFormat) {
+        const jobId = this._getValueByPath(submitData, asyncConfig.jobIdPath || 'id');
+        if (!jobId) {
+            throw new Error(`${this.name}: no job ID at '${asyncConfig.jobIdPath || 'id'}' in submit response`);
         }
+        if (!asyncConfig.statusUrl) {
+            throw new Error(`${this.name}: async endpoint is missing statusUrl`);
+        }
+
+        const jobParams = { ...params, jobId };
+        const successValues = [].concat(asyncConfig.successValues || ['succeeded', 'success', 'completed']).map(String);
+        const failureValues = [].concat(asyncConfig.failureValues || ['failed', 'fail', 'error', 'canceled']).map(String);
+        const intervalMs = asyncConfig.pollIntervalMs || 2000;
+        const deadline = Date.now() + (asyncConfig.timeoutMs || 300000);
+
+        while (true) {
+            const statusData = await this._send({
+                url: asyncConfig.statusUrl,
+                method: asyncConfig.statusMethod || 'GET',
+                body: asyncConfig.statusBody
+            }, jobParams);
+            const status = String(this._getValueByPath(statusData, asyncConfig.statusPath || 'status'));
+
+            if (successValues.includes(status)) {
+                if (!asyncConfig.resultUrl) {
+                    return this._extractResult(statusData, asyncConfig.resultPath, responseFormat);
+                }
+                const resultData = await this._send({
+                    url: asyncConfig.resultUrl,
+                    method: asyncConfig.resultMethod || 'GET'
+                }, jobParams, { binary: responseFormat === 'binary' });
+                return this._extractResult(resultData, asyncConfig.resultPath, responseFormat);
+            }
+
+            if (failureValues.includes(status)) {
+                const reason = asyncConfig.errorPath ? this._getValueByPath(statusData, asyncConfig.errorPath) : null;
+                throw new Error(`${this.name} job ${status}: ${reason || 'Unknown error'}`);
+            }
+
+            if (Date.now() + intervalMs > deadline) {
+                throw new Error(`${this.name} job timed out (last status: ${status})`);
+            }
 
-        return data; // Return full data if no path specified
+            // Still queued or running, wait and retry
+            await sleep(intervalMs, params.signal);
+        }
     }
 
     async generateImage(params) {
         // params: { prompt, aspectRatio, resolution, model, dynamicParams }
         // Generic providers might rely on a template for "prompt"
+        // A responsePath that resolves to an array yields several images
         const allParams = { ...params, ...(params.dynamicParams || {}) };
-        return await this._request('generateImage', allParams);
+        return [].concat(await this._request('generateImage', allParams));
     }
 
-    // TODO: Implement edit, crypto, upload if configured
     async editImage(params) {
         // If config has 'editImage' endpoint, use it
         if (this.config.endpoints?.editImage) {
             const allParams = { ...params, ...(params.dynamicParams || {}) };
-            return await this._request('editImage', allParams);
+            return [].concat(await this._request('editImage', allParams));
         }
         throw new Error(`${this.name} does not support image editing`);
     }
@@ -297,12 +821,116 @@ export class GenericProvider extends ApiProvider {
         throw new Error(`${this.name} does not support image captioning`);
     }
 
+    /**
+     * Run every configured endpoint once with sample input, for the "Test provider" dialog.
+     * Resolves to [{ action, exchanges: [{ request, response }], result, error }].
+     * Edit, upload and caption reuse the generated image when there is one.
+     */
+    async testEndpoints({ prompt = 'A red apple on a wooden table, studio lighting', signal } = {}) {
+        const endpoints = this.config.endpoints || {};
+        const { imageModels, llmModels } = this.getSupportedModels();
+        const imageModel = imageModels[0];
+        let imageUrl = null;
+
+        const tests = [
+            ['modelDiscovery', this.config.modelDiscovery, async () => {
+                await this.refreshModels();
+                return this.discoveredModels.map(m => m.id);
+            }],
+            ['generateImage', endpoints.generateImage, async () => {
+                const urls = await this.generateImage({ prompt, aspectRatio: '1:1', resolution: '1K', model: imageModel?.id, signal });
+                imageUrl = urls[0];
+                return urls;
+            }],
+            ['editImage', endpoints.editImage, () => this.editImage({
+                sourceUrl: imageUrl, prompt: 'Make the apple green', resolution: '1K',
+                model: imageModel?.id, editEndpoint: imageModel?.editEndpoint, signal
+            })],
+            ['uploadImage', endpoints.uploadImage, async () => {
+                const blob = await httpFetch(imageUrl, { signal }).then(r => r.blob());
+                return await this.uploadImage(blob);
+            }],
+            ['generatePrompts', endpoints.generatePrompts, () => this.generatePrompts({
+                systemPrompt: 'You write image prompts.', userPrompt: `Write 1 prompt about: ${prompt}`,
+                count: 1, model: llmModels[0]?.id, signal
+            })],
+            ['captionImage', endpoints.captionImage, () => this.captionImage({ imageUrl, model: llmModels[0]?.id, signal })]
+        ];
+
+        const reports = [];
+        for (const [action, configured, run] of tests) {
+            if (!configured) continue;
+            if (!imageUrl && ['editImage', 'uploadImage', 'captionImage'].includes(action)) {
+                reports.push({ action, exchanges: [], error: 'Skipped: needs the image from generateImage' });
+                continue;
+            }
+
+            this.trace = [];
+            try {
+                reports.push({ action, exchanges: this.trace, result: await run() });
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                reports.push({ action, exchanges: this.trace, error: error.message });
+            } finally {
+                this.trace = null;
+            }
+        }
+        return reports;
+    }
+
+    /**
+     * Optional model list endpoint:
+     * modelDiscovery: { url, method, headers, listPath, idPath, namePath, type: 'image' | 'llm' }
+     * Entries may be plain ID strings or objects. Discovered models are merged with the
+     * static `models` list, which wins on duplicate IDs since it can carry pricing.
+     */
+    async refreshModels() {
+        const discovery = this.config.modelDiscovery;
+        if (!discovery?.url) return;
+
+        const data = await this._send({ method: 'GET', ...discovery }, {});
+        const list = discovery.listPath ? this._getValueByPath(data, discovery.listPath) : data;
+
+        this.discoveredModels = (Array.isArray(list) ? list : [])
+            .map(item => typeof item === 'string'
+                ? { id: item }
+                : {
+                    id: this._getValueByPath(item, discovery.idPath || 'id'),
+                    name: this._getValueByPath(item, discovery.namePath || 'name')
+                })
+            .filter(m => m.id)
+            .map(m => ({ ...m, type: discovery.type === 'llm' ? 'llm' : 'image' }));
+    }
+
+    // models: { image: [{ id, name, pricing, supportsEdit, editEndpoint }], llm: [{ id, name, pricing }] }
     getSupportedModels() {
-        // Generic providers are user-configured, models are dynamic
-        // Return empty for now - could be extended to support model config
+        const configured = this.config.models || {};
+        const merge = (type, staticModels = []) => {
+            const ids = new Set(staticModels.map(m => m.id));
+            const discovered = this.discoveredModels.filter(m => m.type === type && !ids.has(m.id));
+            return [...staticModels, ...discovered];
+        };
+        // Without a model list, an endpoint still gets one selectable "default" model
+        const orDefault = (models, endpoint) =>
+            models.length === 0 && this.config.endpoints?.[endpoint] ? [{ id: 'default', name: 'Default' }] : models;
+        const canEdit = !!this.config.endpoints?.editImage;
+
         return {
-            imageModels: [],
-            llmModels: []
+            imageModels: orDefault(merge('image', configured.image), 'generateImage').map(m => ({
+                id: m.id,
+                name: m.name || m.id,
+                version: m.version || '1.0',
+                pricing: m.pricing || 'Custom',
+                // Edit needs an editImage endpoint; models opt out with supportsEdit: false
+                supportsEdit: canEdit && m.supportsEdit !== false,
+                editEndpoint: canEdit && m.supportsEdit !== false ? (m.editEndpoint || m.id) : undefined,
+                pricingSource: 'manual'
+            })),
+            llmModels: orDefault(merge('llm', configured.llm), 'generatePrompts').map(m => ({
+                id: m.id,
+                name: m.name || m.id,
+                pricing: m.pricing || 'Custom'
+            }))
         };
     }
 }
@@ -311,6 +939,76 @@ export class GenericProvider extends ApiProvider {
 // Kie.ai Provider
 // =============================================================================
 
+// image_size presets used by the Seedream 4.0 and Qwen models
+const KIE_IMAGE_SIZE_PRESETS = {
+    '1:1': 'square_hd',
+    '4:3': 'landscape_4_3',
+    '3:4': 'portrait_4_3',
+    '16:9': 'landscape_16_9',
+    '9:16': 'portrait_16_9'
+};
+
+// Kie.ai market models. Text-to-image and edit are separate model IDs; `sizeInput` turns
+// the sidebar aspect ratio/resolution into the fields each model expects (undefined = omit).
+const KIE_MODELS = [
+    {
+        id: 'seedream/4.5-text-to-image',
+        editEndpoint: 'seedream/4.5-edit',
+        name: 'Seedream',
+        version: '4.5',
+        pricing: '~$0.032/image (~80% cheaper than FAL)',
+        editImageField: 'image_urls',
+        sizeInput: (aspectRatio, resolution) => ({
+            aspect_ratio: aspectRatio,
+            quality: resolution && (resolution === '4K' ? 'high' : 'basic')
+        }),
+        editDefaults: { aspect_ratio: 'auto' }
+    },
+    {
+        id: 'bytedance/seedream-v4-text-to-image',
+        editEndpoint: 'bytedance/seedream-v4-edit',
+        name: 'Seedream',
+        version: '4.0',
+        pricing: '~$0.0175/image',
+        editImageField: 'image_urls',
+        countField: 'max_images',
+        sizeInput: (aspectRatio, resolution) => ({
+            image_size: KIE_IMAGE_SIZE_PRESETS[aspectRatio],
+            image_resolution: resolution
+        })
+    },
+    {
+        id: 'google/nano-banana',
+        editEndpoint: 'google/nano-banana-edit',
+        name: 'Nano Banana',
+        version: '1.0',
+        pricing: '~$0.02/image',
+        editImageField: 'image_urls',
+        sizeInput: (aspectRatio) => ({ image_size: aspectRatio })
+    },
+    {
+        id: 'qwen/text-to-image',
+        editEndpoint: 'qwen/image-edit',
+        name: 'Qwen Image',
+        version: '1.0',
+        pricing: 'See kie.ai pricing',
+        editImageField: 'image_url',
+        editImageSingle: true,
+        sizeInput: (aspectRatio) => ({ image_size: KIE_IMAGE_SIZE_PRESETS[aspectRatio] })
+    }
+];
+
+// Polls start fast and back off, so quick tasks return promptly and slow ones don't hammer the API
+const KIE_POLLING_DEFAULTS = {
+    intervalMs: 2000,       // First wait between status checks
+    maxIntervalMs: 10000,   // Backoff ceiling
+    backoffFactor: 1.5,     // Interval multiplier per check
+    timeoutMs: 300000       // Give up on a task after this long
+};
+
+// recordInfo states: waiting/queuing before a worker picks the task up, generating while it runs
+const KIE_QUEUED_STATES = ['waiting', 'queuing', 'pending'];
+
 export class KieProvider extends ApiProvider {
     constructor() {
         super({
@@ -320,12 +1018,54 @@ export class KieProvider extends ApiProvider {
         });
         this.apiKey = null;
         this.baseUrl = 'https://api.kie.ai';
+        this.polling = { ...KIE_POLLING_DEFAULTS };
     }
 
     async setApiKey(key) {
         this.apiKey = key;
     }
 
+    // GET /api/v1/chat/credit answers { code, msg, data: <remaining credits> }
+    async getAccountStatus({ apiKey = this.apiKey, signal } = {}) {
+        const response = await httpFetch(`${this.baseUrl}/api/v1/chat/credit`, {
+            headers: { 'Authorization': `Bearer ${apiKey}` },
+            signal
+        });
+        const data = await response.json().catch(() => ({}));
+        // Kie.ai can answer HTTP 200 with the real status in `code`
+        const status = response.ok ? (data.code ?? 200) : response.status;
+        if (status !== 200) {
+            throw new HttpError(`Kie.ai credit check failed (${status}): ${data.msg || 'Unknown error'}`, { status });
+        }
+        return { credits: data.data, unit: 'credits' };
+    }
+
+    async testConnection(params = {}) {
+        try {
+            const account = await this.getAccountStatus(params);
+            return {
+                ok: true,
+                message: 'Key valid',
+                capabilities: this._capabilityReport({ 'text-to-image': true, 'image-to-image': true }),
+                account
+            };
+        } catch (error) {
+            if (error.status === 401 || error.status === 403) {
+                return this._rejectedKey(`Key rejected (${error.status})`);
+            }
+            throw error;
+        }
+    }
+
+    configurePolling(overrides = {}) {
+        for (const key of Object.keys(KIE_POLLING_DEFAULTS)) {
+            if (overrides[key] !== undefined && overrides[key] !== null) {
+                this.polling[key] = overrides[key];
+            }
+        }
+        return { ...this.polling };
+    }
+
     async uploadImage(blob) {
         // Kie.ai uses a different domain for file uploads
         const formData = new FormData();
@@ -333,7 +1073,7 @@ export class KieProvider extends ApiProvider {
         formData.append('uploadPath', 'lorafactory');
         formData.append('fileName', `ref_${Date.now()}.png`);
 
-        const response = await fetch('https://kieai.redpandaai.co/api/file-stream-upload', {
+        const response = await httpFetch('https://kieai.redpandaai.co/api/file-stream-upload', {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${this.apiKey}`
@@ -343,7 +1083,7 @@ export class KieProvider extends ApiProvider {
 
         if (!response.ok) {
             const error = await response.text();
-            throw new Error(`Kie.ai upload failed (${response.status}): ${error}`);
+            throw new HttpError(`Kie.ai upload failed (${response.status}): ${error}`, { status: response.status });
         }
 
         const data = await response.json();
@@ -351,8 +1091,8 @@ export class KieProvider extends ApiProvider {
         return data.url || data.fileUrl || data.downloadUrl || data.data?.url;
     }
 
-    async _createTask(model, input) {
-        const response = await fetch(`${this.baseUrl}/api/v1/jobs/createTask`, {
+    async _createTask(model, input, signal) {
+        const response = await httpFetch(`${this.baseUrl}/api/v1/jobs/createTask`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -361,102 +1101,145 @@ export class KieProvider extends ApiProvider {
             body: JSON.stringify({
                 model: model,
                 input: input
-            })
+            }),
+            signal
         });
 
         if (!response.ok) {
             const error = await response.text();
-            throw new Error(`Kie.ai createTask failed (${response.status}): ${error}`);
+            throw new HttpError(`Kie.ai createTask failed (${response.status}): ${error}`, { status: response.status });
         }
 
-        const data = await response.json();
-        return data.taskId || data.data?.taskId;
+        // Kie.ai can answer HTTP 200 with the real status in `code`
+        const data = await response.json().catch(() => ({}));
+        const status = data.code ?? 200;
+        if (status !== 200) {
+            throw new HttpError(`Kie.ai createTask failed (${status}): ${data.msg || 'Unknown error'}`, { status });
+        }
+        const taskId = data.taskId || data.data?.taskId;
+        if (!taskId) {
+            throw new Error(`Kie.ai createTask returned no taskId: ${data.msg || JSON.stringify(data)}`);
+        }
+        return taskId;
     }
 
-    async _pollTaskResult(taskId, maxAttempts = 60, intervalMs = 2000) {
-        for (let i = 0; i < maxAttempts; i++) {
-            const response = await fetch(`${this.baseUrl}/api/v1/jobs/recordInfo?taskId=${taskId}`, {
+    // Kie.ai has no cancel endpoint; aborting just stops polling.
+    // onProgress receives { taskId, status, progress?, elapsedMs } on each change.
+    async _pollTaskResult(taskId, signal, onProgress) {
+        const { intervalMs, maxIntervalMs, backoffFactor, timeoutMs } = this.polling;
+        const startedAt = Date.now();
+        const report = createProgressReporter(onProgress, { taskId });
+        let interval = intervalMs;
+
+        while (Date.now() - startedAt < timeoutMs) {
+            const response = await httpFetch(`${this.baseUrl}/api/v1/jobs/recordInfo?taskId=${taskId}`, {
                 method: 'GET',
                 headers: {
                     'Authorization': `Bearer ${this.apiKey}`
-                }
+                },
+                signal
             });
 
             if (!response.ok) {
-                throw new Error(`Kie.ai recordInfo failed: ${response.status}`);
+                throw new HttpError(`Kie.ai recordInfo failed: ${response.status}`, { status: response.status });
             }
 
             const result = await response.json();
-            const status = result.status || result.data?.status;
-
-            if (status === 'SUCCESS' || status === 'COMPLETED') {
-                return result.data || result;
-            } else if (status === 'FAILED' || status === 'ERROR') {
-                throw new Error(`Task failed: ${result.error || result.message || 'Unknown error'}`);
+            const record = result.data || result;
+            const status = String(record.state || record.status || result.status || '').toLowerCase();
+
+            if (status === 'success' || status === 'completed') {
+                report({ status: 'completed', progress: 100 });
+                return record;
+            } else if (status === 'fail' || status === 'failed' || status === 'error') {
+                throw new Error(`Task failed: ${record.failMsg || result.error || result.message || 'Unknown error'}`);
             }
 
+            const progress = Number.isFinite(Number(record.progress)) ? Number(record.progress) : undefined;
+            report({ status: KIE_QUEUED_STATES.includes(status) ? 'queued' : 'running', progress });
+
             // Still processing, wait and retry
-            await new Promise(resolve => setTimeout(resolve, intervalMs));
+            await sleep(Math.min(interval, Math.max(0, timeoutMs - (Date.now() - startedAt))), signal);
+            interval = Math.min(maxIntervalMs, interval * backoffFactor);
         }
 
-        throw new Error('Task timeout: exceeded maximum polling attempts');
+        throw new Error(`Kie.ai task ${taskId} timed out after ${Math.round(timeoutMs / 1000)}s`);
     }
 
-    async generateImage({ prompt, aspectRatio, resolution, model, dynamicParams = {} }) {
-        // Support both legacy and dynamic parameters
-        const params = {
-            prompt: prompt,
-            ...dynamicParams
-        };
-
-        // Add legacy params if not in dynamicParams
-        if (!dynamicParams.aspect_ratio && aspectRatio) {
-            params.aspect_ratio = aspectRatio;
-        }
-        if (!dynamicParams.quality && resolution) {
-            params.quality = resolution === '4K' ? 'high' : 'basic';
+    _extractImageUrls(result) {
+        // Market models report resultJson: "{\"resultUrls\": [...]}"
+        if (result.resultJson) {
+            const parsed = typeof result.resultJson === 'string' ? JSON.parse(result.resultJson) : result.resultJson;
+            if (parsed.resultUrls?.length > 0) {
+                return [...parsed.resultUrls];
+            }
         }
-
-        const taskId = await this._createTask('seedream/4.5-text-to-image', params);
-
-        const result = await this._pollTaskResult(taskId);
-
-        // Extract image URL from result
         if (result.outputMediaUrls && result.outputMediaUrls.length > 0) {
-            return result.outputMediaUrls[0].mediaUrl;
+            return result.outputMediaUrls.map(media => media.mediaUrl);
         } else if (result.output && result.output.length > 0) {
-            return result.output[0];
+            return [...result.output];
         }
 
         throw new Error('No image URL in response');
     }
 
-    async editImage({ sourceUrl, prompt, resolution, model, editEndpoint, dynamicParams = {} }) {
-        // Support both legacy and dynamic parameters
-        const params = {
-            prompt: prompt,
-            image_urls: [sourceUrl],
-            aspect_ratio: 'auto',
-            ...dynamicParams
-        };
+    _findModel(model) {
+        const id = model || KIE_MODELS[0].id;
+        const entry = KIE_MODELS.find(m => m.id === id || m.editEndpoint === id);
+        if (!entry) {
+            throw new Error(`Unknown Kie.ai model: ${id}`);
+        }
+        return entry;
+    }
 
-        // Add legacy quality if not in dynamicParams
-        if (!dynamicParams.quality && resolution) {
-            params.quality = resolution === '4K' ? 'high' : 'basic';
+    // Sidebar size settings first, so dynamicParams can override them; num_images goes to the
+    // model's count field where it has one and is dropped otherwise
+    _buildInput(entry, prompt, aspectRatio, resolution, dynamicParams) {
+        const { num_images, ...rest } = dynamicParams;
+        const sizeInput = entry.sizeInput(dynamicParams.aspect_ratio || aspectRatio, resolution);
+
+        const input = { prompt };
+        for (const [key, value] of Object.entries(sizeInput)) {
+            if (value !== undefined) input[key] = value;
+        }
+        if (entry.countField && num_images > 1) {
+            input[entry.countField] = num_images;
         }
+        return { ...input, ...rest };
+    }
 
-        const taskId = await this._createTask('seedream/4.5-edit', params);
+    async generateImage({ prompt, aspectRatio, resolution, model, dynamicParams = {}, signal, onProgress, onSubmit }) {
+        const entry = this._findModel(model);
+        const input = this._buildInput(entry, prompt, aspectRatio, resolution, dynamicParams);
 
-        const result = await this._pollTaskResult(taskId);
+        const taskId = await this._createTask(entry.id, input, signal);
+        onSubmit?.({ providerId: this.id, endpoint: entry.id, jobId: taskId });
 
-        // Extract image URL from result
-        if (result.outputMediaUrls && result.outputMediaUrls.length > 0) {
-            return result.outputMediaUrls[0].mediaUrl;
-        } else if (result.output && result.output.length > 0) {
-            return result.output[0];
-        }
+        const result = await this._pollTaskResult(taskId, signal, onProgress);
 
-        throw new Error('No image URL in response');
+        return this._extractImageUrls(result);
+    }
+
+    async editImage({ sourceUrl, prompt, resolution, model, editEndpoint, dynamicParams = {}, signal, onProgress, onSubmit }) {
+        const entry = this._findModel(model);
+        const input = {
+            ...entry.editDefaults,
+            ...this._buildInput(entry, prompt, dynamicParams.aspect_ratio, resolution, dynamicParams),
+            [entry.editImageField]: entry.editImageSingle ? sourceUrl : [sourceUrl]
+        };
+
+        const taskId = await this._createTask(editEndpoint || entry.editEndpoint, input, signal);
+        onSubmit?.({ providerId: this.id, endpoint: editEndpoint || entry.editEndpoint, jobId: taskId });
+
+        const result = await this._pollTaskResult(taskId, signal, onProgress);
+
+        return this._extractImageUrls(result);
+    }
+
+    // Collect a task created before a page reload ({ jobId } from onSubmit)
+    async resumeJob({ jobId }, { signal, onProgress } = {}) {
+        const result = await this._pollTaskResult(jobId, signal, onProgress);
+        return this._extractImageUrls(result);
     }
 
     // Kie.ai doesn't support LLM/vision, so throw errors
@@ -469,18 +1252,16 @@ export class KieProvider extends ApiProvider {
     }
 
     getSupportedModels() {
-        // Kie.ai only supports Seedream 4.5
         return {
-            imageModels: [
-                {
-                    id: 'seedream/4.5-text-to-image',
-                    name: 'Seedream',
-                    version: '4.5',
-                    pricing: '~$0.032/image (~80% cheaper than FAL)',
-                    supportsEdit: true,
-                    pricingSource: 'manual'
-                }
-            ],
+            imageModels: KIE_MODELS.map(m => ({
+                id: m.id,
+                name: m.name,
+                version: m.version,
+                pricing: m.pricing,
+                supportsEdit: true,
+                editEndpoint: m.editEndpoint,
+                pricingSource: 'manual'
+            })),
             llmModels: [] // Kie.ai has no LLM support
         };
     }
@@ -490,6 +1271,51 @@ export class KieProvider extends ApiProvider {
 // Wisdom Gate Provider (OpenAI-compatible API)
 // =============================================================================
 
+// Message content for error messages; inline base64 would otherwise flood the log
+function truncateContent(content) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content ?? null);
+    return text.length > 300 ? `${text.slice(0, 300)}…` : text;
+}
+
+// Known models with metadata from wisdom-gate-api-documentation.md; /v1/models adds the rest
+const WISDOM_GATE_IMAGE_MODELS = [
+    {
+        id: 'gemini-3-pro-image-preview',
+        name: 'Gemini 3 Pro Image',
+        version: 'Preview',
+        pricing: '1K: ~$0.10, 2K: ~$0.13, 4K: ~$0.24',
+        supportsEdit: true,
+        pricingSource: 'manual'
+    },
+    {
+        id: 'grok-4-image',
+        name: 'Grok 4 Image',
+        version: '4.0',
+        pricing: 'Contact provider',
+        supportsEdit: false, // Grok 4 only supports generation, not editing
+        pricingSource: 'manual'
+    }
+];
+
+const WISDOM_GATE_LLM_MODELS = [
+    { id: 'wisdom-ai-gpt5', name: 'Wisdom AI GPT-5', pricing: 'Contact provider' },
+    { id: 'wisdom-ai-claude-sonnet-4', name: 'Wisdom AI Claude Sonnet 4', pricing: 'Contact provider' },
+    { id: 'deepseek-r1', name: 'DeepSeek R1', pricing: 'Free' },
+    { id: 'deepseek-v3', name: 'DeepSeek V3', pricing: 'Contact provider' }
+];
+
+// The model list carries no capability flags, so go by ID. Video, audio and embedding
+// models can't be used here and are skipped.
+function classifyWisdomGateModel(id) {
+    if (/video|veo|sora|kling|hailuo|seedance|tts|whisper|audio|speech|embedding|moderation|rerank/i.test(id)) {
+        return null;
+    }
+    if (/image|imagen|dall-?e|flux|seedream|banana|midjourney|stable-diffusion|sdxl|ideogram|recraft/i.test(id)) {
+        return 'image';
+    }
+    return 'llm';
+}
+
 export class WisdomGateProvider extends ApiProvider {
     constructor() {
         super({
@@ -499,10 +1325,12 @@ export class WisdomGateProvider extends ApiProvider {
         });
         this.apiKey = null;
         this.baseUrl = 'https://wisdom-gate.juheapi.com/v1';
+        this.discoveredModels = null; // { imageModels, llmModels } from refreshModels()
     }
 
     async setApiKey(key) {
         this.apiKey = key;
+        this.discoveredModels = null;
     }
 
     async uploadImage(blob) {
@@ -536,12 +1364,13 @@ export class WisdomGateProvider extends ApiProvider {
         }
     }
 
-    async generateImage({ prompt, aspectRatio, resolution, model, dynamicParams = {} }) {
+    async generateImage({ prompt, aspectRatio, resolution, model, dynamicParams = {}, signal }) {
         const params = { prompt, aspectRatio, resolution, model, dynamicParams };
 
         try {
-            const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            const response = await httpFetch(`${this.baseUrl}/chat/completions`, {
                 method: 'POST',
+                longRunning: true,
                 headers: {
                     'Authorization': `Bearer ${this.apiKey}`,
                     'Content-Type': 'application/json'
@@ -557,12 +1386,13 @@ export class WisdomGateProvider extends ApiProvider {
                         ? dynamicParams.enable_safety_checker
                         : false,
                     ...dynamicParams
-                })
+                }),
+                signal
             });
 
             if (!response.ok) {
                 const error = await response.text();
-                const err = new Error(`Wisdom Gate error (${response.status}): ${error}`);
+                const err = new HttpError(`Wisdom Gate error (${response.status}): ${error}`, { status: response.status });
                 if (window.monitor) {
                     window.monitor.logApiCall('WisdomGate', 'generateImage', params, null, err);
                 }
@@ -570,28 +1400,25 @@ export class WisdomGateProvider extends ApiProvider {
             }
 
             const data = await response.json();
-            const content = data.choices[0].message.content;
+            const message = data.choices?.[0]?.message;
 
-            // Extract image URL from markdown format: ![image](https://...)
-            const imageUrlMatch = content.match(/https:\/\/[^)]+\.(png|jpg|jpeg)/);
-            if (!imageUrlMatch) {
-                const err = new Error(`No image URL found in response: ${content}`);
+            const imageUrls = extractChatImageUrls(message);
+            if (imageUrls.length === 0) {
+                const err = new Error(`No image URL found in response: ${truncateContent(message?.content)}`);
                 if (window.monitor) {
                     window.monitor.logApiCall('WisdomGate', 'generateImage', params, null, err);
                 }
                 throw err;
             }
 
-            const imageUrl = imageUrlMatch[0];
-
             if (window.monitor) {
                 window.monitor.logApiCall('WisdomGate', 'generateImage', params, {
-                    imageUrl,
+                    imageUrls,
                     tokens: data.usage?.total_tokens
                 });
             }
 
-            return imageUrl;
+            return imageUrls;
         } catch (error) {
             if (window.monitor && error.message && !error.message.includes('Wisdom Gate error')) {
                 window.monitor.logApiCall('WisdomGate', 'generateImage', params, null, error);
@@ -600,14 +1427,15 @@ export class WisdomGateProvider extends ApiProvider {
         }
     }
 
-    async editImage({ sourceUrl, prompt, resolution, model, editEndpoint, dynamicParams = {} }) {
+    async editImage({ sourceUrl, prompt, resolution, model, editEndpoint, dynamicParams = {}, signal }) {
         // Wisdom Gate uses vision capabilities for image editing
         // Send image URL in messages with multimodal content
         const params = { sourceUrl: sourceUrl?.substring(0, 100) + '...', prompt, resolution, model, dynamicParams };
 
         try {
-            const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            const response = await httpFetch(`${this.baseUrl}/chat/completions`, {
                 method: 'POST',
+                longRunning: true,
                 headers: {
                     'Authorization': `Bearer ${this.apiKey}`,
                     'Content-Type': 'application/json'
@@ -637,12 +1465,13 @@ export class WisdomGateProvider extends ApiProvider {
                         ? dynamicParams.enable_safety_checker
                         : false,
                     ...dynamicParams
-                })
+                }),
+                signal
             });
 
             if (!response.ok) {
                 const error = await response.text();
-                const err = new Error(`Wisdom Gate error (${response.status}): ${error}`);
+                const err = new HttpError(`Wisdom Gate error (${response.status}): ${error}`, { status: response.status });
                 if (window.monitor) {
                     window.monitor.logApiCall('WisdomGate', 'editImage', params, null, err);
                 }
@@ -650,28 +1479,25 @@ export class WisdomGateProvider extends ApiProvider {
             }
 
             const data = await response.json();
-            const content = data.choices[0].message.content;
+            const message = data.choices?.[0]?.message;
 
-            // Extract image URL from markdown format
-            const imageUrlMatch = content.match(/https:\/\/[^)]+\.(png|jpg|jpeg)/);
-            if (!imageUrlMatch) {
-                const err = new Error(`No image URL found in response: ${content}`);
+            const imageUrls = extractChatImageUrls(message);
+            if (imageUrls.length === 0) {
+                const err = new Error(`No image URL found in response: ${truncateContent(message?.content)}`);
                 if (window.monitor) {
                     window.monitor.logApiCall('WisdomGate', 'editImage', params, null, err);
                 }
                 throw err;
             }
 
-            const imageUrl = imageUrlMatch[0];
-
             if (window.monitor) {
                 window.monitor.logApiCall('WisdomGate', 'editImage', params, {
-                    imageUrl,
+                    imageUrls,
                     tokens: data.usage?.total_tokens
                 });
             }
 
-            return imageUrl;
+            return imageUrls;
         } catch (error) {
             if (window.monitor && error.message && !error.message.includes('Wisdom Gate error')) {
                 window.monitor.logApiCall('WisdomGate', 'editImage', params, null, error);
@@ -680,8 +1506,8 @@ export class WisdomGateProvider extends ApiProvider {
         }
     }
 
-    async generatePrompts({ systemPrompt, userPrompt, count, model }) {
-        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+    async generatePrompts({ systemPrompt, userPrompt, count, model, signal }) {
+        const response = await httpFetch(`${this.baseUrl}/chat/completions`, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${this.apiKey}`,
@@ -695,12 +1521,13 @@ export class WisdomGateProvider extends ApiProvider {
                 ],
                 temperature: 1.0,
                 max_tokens: 16000
-            })
+            }),
+            signal
         });
 
         if (!response.ok) {
             const error = await response.text();
-            throw new Error(`Wisdom Gate error (${response.status}): ${error}`);
+            throw new HttpError(`Wisdom Gate error (${response.status}): ${error}`, { status: response.status });
         }
 
         const data = await response.json();
@@ -714,8 +1541,8 @@ export class WisdomGateProvider extends ApiProvider {
         return JSON.parse(jsonMatch[0]);
     }
 
-    async captionImage({ imageUrl, model }) {
-        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+    async captionImage({ imageUrl, model, signal }) {
+        const response = await httpFetch(`${this.baseUrl}/chat/completions`, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${this.apiKey}`,
@@ -739,61 +1566,1443 @@ export class WisdomGateProvider extends ApiProvider {
                     ]
                 }],
                 temperature: 1.0
-            })
+            }),
+            signal
         });
 
         if (!response.ok) {
             const error = await response.text();
-            throw new Error(`Wisdom Gate error (${response.status}): ${error}`);
+            throw new HttpError(`Wisdom Gate error (${response.status}): ${error}`, { status: response.status });
         }
 
         const data = await response.json();
         return data.choices[0].message.content;
     }
 
-    getSupportedModels() {
-        // Wisdom Gate supported models based on wisdom-gate-api-documentation.md
-        return {
-            imageModels: [
-                {
-                    id: 'gemini-3-pro-image-preview',
-                    name: 'Gemini 3 Pro Image',
-                    version: 'Preview',
-                    pricing: '1K: ~$0.10, 2K: ~$0.13, 4K: ~$0.24',
-                    supportsEdit: true,
-                    pricingSource: 'manual'
-                },
-                {
-                    id: 'grok-4-image',
-                    name: 'Grok 4 Image',
-                    version: '4.0',
-                    pricing: 'Contact provider',
-                    supportsEdit: false, // Grok 4 only supports generation, not editing
-                    pricingSource: 'manual'
-                }
-            ],
-            llmModels: [
-                {
-                    id: 'wisdom-ai-gpt5',
-                    name: 'Wisdom AI GPT-5',
-                    pricing: 'Contact provider'
-                },
-                {
-                    id: 'wisdom-ai-claude-sonnet-4',
-                    name: 'Wisdom AI Claude Sonnet 4',
-                    pricing: 'Contact provider'
-                },
+    // GET /v1/models lists everything the key can use; classify it and keep the
+    // hand-written metadata for the models we know
+    async refreshModels() {
+        if (!this.apiKey) return;
+        this.discoveredModels = await this._fetchModels(this.apiKey);
+    }
+
+    async _fetchModels(apiKey, signal) {
+        const response = await httpFetch(`${this.baseUrl}/models`, {
+            headers: { 'Authorization': `Bearer ${apiKey}` },
+            signal
+        });
+        if (!response.ok) {
+            const error = await response.text();
+            throw new HttpError(`Wisdom Gate models failed (${response.status}): ${error}`, { status: response.status });
+        }
+
+        const data = await response.json();
+        const discovered = { imageModels: [], llmModels: [] };
+        for (const { id } of data.data || []) {
+            const type = classifyWisdomGateModel(id);
+            if (type === 'image') {
+                discovered.imageModels.push(WISDOM_GATE_IMAGE_MODELS.find(m => m.id === id) || {
+                    id,
+                    name: id,
+                    version: '',
+                    pricing: 'See provider',
+                    supportsEdit: false, // Unknown until listed in WISDOM_GATE_IMAGE_MODELS
+                    pricingSource: 'discovered'
+                });
+            } else if (type === 'llm') {
+                discovered.llmModels.push(WISDOM_GATE_LLM_MODELS.find(m => m.id === id) || {
+                    id,
+                    name: id,
+                    pricing: 'See provider'
+                });
+            }
+        }
+        return discovered;
+    }
+
+    // The model list needs a valid key and shows what it can reach. Vision isn't
+    // listed separately, so it stays unchecked. No balance endpoint is documented.
+    async testConnection({ apiKey = this.apiKey, signal } = {}) {
+        let models;
+        try {
+            models = await this._fetchModels(apiKey, signal);
+        } catch (error) {
+            if (error.status === 401 || error.status === 403) {
+                return this._rejectedKey(`Key rejected (${error.status})`);
+            }
+            throw error;
+        }
+
+        const listed = models.imageModels.length + models.llmModels.length > 0;
+        return {
+            ok: true,
+            message: 'Key valid (Wisdom Gate does not report credits via API)',
+            capabilities: listed ? this._capabilityReport({
+                'text-to-image': models.imageModels.length > 0,
+                'image-to-image': models.imageModels.some(m => m.supportsEdit),
+                'llm': models.llmModels.length > 0
+            }) : this._capabilityReport(),
+            account: null
+        };
+    }
+
+    getSupportedModels() {
+        // Hand-written list until /v1/models has been fetched, or if it listed nothing usable
+        const discovered = this.discoveredModels;
+        return {
+            imageModels: discovered?.imageModels.length ? discovered.imageModels : WISDOM_GATE_IMAGE_MODELS,
+            llmModels: discovered?.llmModels.length ? discovered.llmModels : WISDOM_GATE_LLM_MODELS
+        };
+    }
+}
+
+// =============================================================================
+// OpenAI Provider (Images API + Chat Completions)
+// =============================================================================
+
+const OPENAI_CAPTION_PROMPT = "Caption this image for a text-to-image model. Describe everything visible in detail: subject, appearance, clothing, pose, expression, background, lighting, colors, style. Be specific and comprehensive.";
+
+// Images API options that are forwarded as-is from dynamic parameters
+const OPENAI_IMAGE_OPTIONS = ['size', 'quality', 'background', 'output_format', 'output_compression', 'moderation', 'style'];
+
+export class OpenAiProvider extends ApiProvider {
+    // Subclasses for OpenAI-compatible servers pass their own id, name, capabilities and endpoint
+    constructor(config = {}) {
+        super({
+            id: 'openai',
+            name: 'OpenAI',
+            capabilities: ['text-to-image', 'image-to-image', 'llm', 'vision'],
+            ...config
+        });
+        this.apiKey = null;
+        // Overridable so the provider can point at a proxy or a local mock server
+        this.defaultBaseUrl = config.defaultBaseUrl || 'https://api.openai.com/v1';
+        this.baseUrl = this.defaultBaseUrl;
+        this.defaultLlmModel = 'gpt-4o-mini';
+    }
+
+    async setApiKey(key) {
+        this.apiKey = key;
+    }
+
+    async uploadImage(blob) {
+        // Edits are sent as multipart uploads, so a data URL is enough to carry the image
+        return await blobToDataUrl(blob);
+    }
+
+    async _request(method, path, { json, formData, signal } = {}) {
+        const headers = {};
+        if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+        let body;
+        if (formData) {
+            body = formData; // Browser sets the multipart boundary
+        } else if (json) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(json);
+        }
+
+        const logParams = { path, model: json ? json.model : formData?.get('model') };
+
+        try {
+            const response = await httpFetch(`${this.baseUrl}${path}`, { method: body ? 'POST' : 'GET', headers, body, signal, longRunning: !!body });
+
+            if (!response.ok) {
+                const error = await response.text();
+                throw new HttpError(`${this.name} error (${response.status}): ${error}`, { status: response.status });
+            }
+
+            const data = await response.json();
+            if (window.monitor) {
+                window.monitor.logApiCall(this.name, method, logParams, {
+                    items: data.data?.length,
+                    tokens: data.usage?.total_tokens
+                });
+            }
+            return data;
+        } catch (error) {
+            if (window.monitor) {
+                window.monitor.logApiCall(this.name, method, logParams, null, error);
+            }
+            throw error;
+        }
+    }
+
+    // Images API only accepts a fixed set of sizes per model. Edits without an aspect ratio
+    // ask for 'auto' so the output keeps the source image's shape.
+    _sizeFor(model, aspectRatio, isEdit = false) {
+        if (model === 'dall-e-2') return '1024x1024';
+        if (!aspectRatio && isEdit) return model === 'dall-e-3' ? '1024x1024' : 'auto';
+
+        const [w, h] = (aspectRatio || '1:1').split(':').map(Number);
+        if (!w || !h) return model === 'dall-e-3' ? '1024x1024' : 'auto';
+        if (w === h) return '1024x1024';
+
+        if (model === 'dall-e-3') {
+            return w > h ? '1792x1024' : '1024x1792';
+        }
+        return w > h ? '1536x1024' : '1024x1536';
+    }
+
+    _buildImageOptions(model, aspectRatio, resolution, dynamicParams, isEdit = false) {
+        const options = {
+            size: this._sizeFor(model, dynamicParams.aspect_ratio || aspectRatio, isEdit)
+        };
+
+        const res = dynamicParams.resolution || resolution;
+        if (res === '4K' && model !== 'dall-e-2') {
+            options.quality = model === 'dall-e-3' ? 'hd' : 'high';
+        }
+
+        for (const key of OPENAI_IMAGE_OPTIONS) {
+            if (dynamicParams[key] !== undefined && dynamicParams[key] !== '') {
+                options[key] = dynamicParams[key];
+            }
+        }
+        return options;
+    }
+
+    _extractImageUrls(data) {
+        const urls = (data.data || [])
+            .map(image => image.b64_json ? base64ToObjectUrl(image.b64_json) : image.url)
+            .filter(Boolean);
+        if (urls.length === 0) {
+            throw new Error('No image in OpenAI response');
+        }
+        return urls;
+    }
+
+    // dall-e-3 only accepts n=1
+    _imageCount(modelId, dynamicParams) {
+        return modelId === 'dall-e-3' ? 1 : Math.max(1, Number(dynamicParams.num_images) || 1);
+    }
+
+    async generateImage({ prompt, aspectRatio, resolution, model, dynamicParams = {}, signal }) {
+        const modelId = model || 'gpt-image-1';
+        const data = await this._request('generateImage', '/images/generations', {
+            json: {
+                model: modelId,
+                prompt: prompt,
+                n: this._imageCount(modelId, dynamicParams),
+                ...this._buildImageOptions(modelId, aspectRatio, resolution, dynamicParams)
+            },
+            signal
+        });
+        return this._extractImageUrls(data);
+    }
+
+    async editImage({ sourceUrl, prompt, resolution, model, dynamicParams = {}, signal }) {
+        const modelId = model || 'gpt-image-1';
+
+        // The edit endpoint wants the source image as a file upload
+        const sourceBlob = await httpFetch(sourceUrl, { signal }).then(r => r.blob());
+
+        const formData = new FormData();
+        formData.append('model', modelId);
+        formData.append('prompt', prompt);
+        formData.append('n', String(this._imageCount(modelId, dynamicParams)));
+        formData.append('image', sourceBlob, `source.${(sourceBlob.type.split('/')[1] || 'png')}`);
+
+        const options = this._buildImageOptions(modelId, dynamicParams.aspect_ratio, resolution, dynamicParams, true);
+        for (const [key, value] of Object.entries(options)) {
+            formData.append(key, String(value));
+        }
+
+        const data = await this._request('editImage', '/images/edits', { formData, signal });
+        return this._extractImageUrls(data);
+    }
+
+    // Image reference for a chat message; blob: URLs only exist in this tab
+    async _chatImageUrl(imageUrl, signal) {
+        return await toPortableImageUrl(imageUrl, signal);
+    }
+
+    async generatePrompts({ systemPrompt, userPrompt, count, model, signal }) {
+        const data = await this._request('generatePrompts', '/chat/completions', {
+            json: {
+                model: model || this.defaultLlmModel,
+                messages: [
+                    { role: 'system', content: systemPrompt },
+                    { role: 'user', content: userPrompt }
+                ],
+                temperature: 1.0
+            },
+            signal
+        });
+
+        // Parse JSON output
+        const text = data.choices[0].message.content;
+        const jsonMatch = text.match(/\[[\s\S]*\]/);
+        if (!jsonMatch) {
+            throw new Error('Failed to parse LLM response');
+        }
+        return JSON.parse(jsonMatch[0]);
+    }
+
+    async captionImage({ imageUrl, model, signal }) {
+        const data = await this._request('captionImage', '/chat/completions', {
+            json: {
+                model: model || this.defaultLlmModel,
+                messages: [{
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: OPENAI_CAPTION_PROMPT },
+                        { type: 'image_url', image_url: { url: await this._chatImageUrl(imageUrl, signal) } }
+                    ]
+                }],
+                temperature: 1.0
+            },
+            signal
+        });
+        return data.choices[0].message.content;
+    }
+
+    getSupportedModels() {
+        return {
+            imageModels: [
+                {
+                    id: 'gpt-image-1',
+                    name: 'GPT Image',
+                    version: '1',
+                    pricing: '~$0.011-$0.25/image (by quality)',
+                    supportsEdit: true,
+                    pricingSource: 'manual'
+                },
+                {
+                    id: 'gpt-image-1-mini',
+                    name: 'GPT Image Mini',
+                    version: '1',
+                    pricing: '~$0.005-$0.05/image (by quality)',
+                    supportsEdit: true,
+                    pricingSource: 'manual'
+                },
+                {
+                    id: 'dall-e-3',
+                    name: 'DALL-E',
+                    version: '3',
+                    pricing: '$0.04/image ($0.08 HD)',
+                    supportsEdit: false,
+                    pricingSource: 'manual'
+                },
                 {
-                    id: 'deepseek-r1',
-                    name: 'DeepSeek R1',
-                    pricing: 'Free'
+                    id: 'dall-e-2',
+                    name: 'DALL-E',
+                    version: '2',
+                    pricing: '$0.02/image',
+                    supportsEdit: true,
+                    pricingSource: 'manual'
+                }
+            ],
+            llmModels: [
+                {
+                    id: 'gpt-4o-mini',
+                    name: 'GPT-4o mini',
+                    pricing: '$0.15/$0.60 per 1M tokens'
+                },
+                {
+                    id: 'gpt-4o',
+                    name: 'GPT-4o',
+                    pricing: '$2.50/$10.00 per 1M tokens'
                 },
                 {
-                    id: 'deepseek-v3',
-                    name: 'DeepSeek V3',
-                    pricing: 'Contact provider'
+                    id: 'gpt-4.1',
+                    name: 'GPT-4.1',
+                    pricing: '$2.00/$8.00 per 1M tokens'
+                },
+                {
+                    id: 'gpt-4.1-mini',
+                    name: 'GPT-4.1 mini',
+                    pricing: '$0.40/$1.60 per 1M tokens'
+                }
+            ]
+        };
+    }
+}
+
+// =============================================================================
+// Local LLM Provider (OpenAI-compatible: Ollama, llama.cpp, vLLM, LM Studio)
+// =============================================================================
+
+// Used until the server's /models list has been fetched
+const LOCAL_LLM_FALLBACK_MODELS = [
+    { id: 'llama3.2', name: 'Llama 3.2' },
+    { id: 'llava', name: 'LLaVA (vision)' }
+];
+
+export class LocalLlmProvider extends OpenAiProvider {
+    constructor() {
+        super({
+            id: 'local-llm',
+            name: 'Local LLM (OpenAI-compatible)',
+            capabilities: ['llm', 'vision'],
+            requiresApiKey: false,
+            // Ollama's OpenAI-compatible endpoint; llama.cpp server uses :8080/v1, vLLM :8000/v1
+            defaultBaseUrl: 'http://127.0.0.1:11434/v1'
+        });
+        this.models = [];
+        this.defaultLlmModel = LOCAL_LLM_FALLBACK_MODELS[0].id;
+    }
+
+    async setApiKey(key) {
+        // Optional: vLLM --api-key or an authenticating proxy
+        this.apiKey = key || null;
+    }
+
+    async refreshModels() {
+        const data = await this._request('refreshModels', '/models');
+        this.models = (data.data || []).map(m => ({ id: m.id, name: m.id }));
+        if (this.models.length > 0) {
+            this.defaultLlmModel = this.models[0].id;
+        }
+    }
+
+    // Local servers can't fetch remote URLs (and Ollama only accepts base64), so always inline
+    async _chatImageUrl(imageUrl, signal) {
+        if (imageUrl.startsWith('data:')) return imageUrl;
+        const blob = await httpFetch(imageUrl, { signal }).then(r => r.blob());
+        return await abortable(blobToDataUrl(blob), signal);
+    }
+
+    async uploadImage(blob) {
+        return await blobToDataUrl(blob);
+    }
+
+    async generateImage(params) {
+        throw new Error('Local LLM provider does not support image generation.');
+    }
+
+    async editImage(params) {
+        throw new Error('Local LLM provider does not support image editing.');
+    }
+
+    getSupportedModels() {
+        const models = this.models.length > 0 ? this.models : LOCAL_LLM_FALLBACK_MODELS;
+        return {
+            imageModels: [],
+            llmModels: models.map(m => ({ ...m, pricing: 'Free (local)' }))
+        };
+    }
+}
+
+// =============================================================================
+// Replicate Provider (Predictions API)
+// =============================================================================
+
+// Curated models. `editImageField` names the input that takes the source image;
+// `editImageArray` marks models that expect a list of images.
+const REPLICATE_MODELS = [
+    {
+        id: 'black-forest-labs/flux-kontext-pro',
+        name: 'Flux Kontext Pro',
+        version: 'latest',
+        pricing: '$0.04/image',
+        supportsEdit: true,
+        editEndpoint: 'black-forest-labs/flux-kontext-pro',
+        editImageField: 'input_image',
+        pricingSource: 'manual'
+    },
+    {
+        id: 'google/nano-banana',
+        name: 'Nano Banana',
+        version: 'latest',
+        pricing: '$0.039/image',
+        supportsEdit: true,
+        editEndpoint: 'google/nano-banana',
+        editImageField: 'image_input',
+        editImageArray: true,
+        pricingSource: 'manual'
+    },
+    {
+        id: 'bytedance/seedream-4',
+        name: 'Seedream',
+        version: '4.0',
+        pricing: '$0.03/image',
+        supportsEdit: true,
+        editEndpoint: 'bytedance/seedream-4',
+        editImageField: 'image_input',
+        editImageArray: true,
+        pricingSource: 'manual'
+    },
+    {
+        id: 'black-forest-labs/flux-1.1-pro',
+        name: 'Flux 1.1 Pro',
+        version: 'latest',
+        pricing: '$0.04/image',
+        supportsEdit: false,
+        pricingSource: 'manual'
+    },
+    {
+        id: 'black-forest-labs/flux-dev',
+        name: 'Flux Dev',
+        version: 'latest',
+        pricing: '$0.025/image',
+        supportsEdit: false,
+        pricingSource: 'manual'
+    },
+    {
+        id: 'black-forest-labs/flux-schnell',
+        name: 'Flux Schnell',
+        version: 'latest',
+        pricing: '$0.003/image',
+        supportsEdit: false,
+        pricingSource: 'manual'
+    }
+];
+
+export class ReplicateProvider extends ApiProvider {
+    constructor() {
+        super({
+            id: 'replicate',
+            name: 'Replicate',
+            capabilities: ['text-to-image', 'image-to-image']
+        });
+        this.apiKey = null;
+        // Replicate does not send CORS headers, so browsers usually need a proxy here
+        this.defaultBaseUrl = 'https://api.replicate.com/v1';
+        this.baseUrl = this.defaultBaseUrl;
+        this.customModels = []; // User-pinned models (community fine-tunes, fixed versions)
+    }
+
+    async setApiKey(key) {
+        this.apiKey = key;
+    }
+
+    // Model refs are "owner/name" (latest version) or "owner/name:versionHash" (pinned)
+    addModel({ ref, name, editImageField, editImageArray = false }) {
+        const [slug, versionHash] = ref.split(':');
+        if (!/^[\w.-]+\/[\w.-]+$/.test(slug)) {
+            throw new Error(`Invalid Replicate model "${ref}". Use owner/name or owner/name:version`);
+        }
+
+        const model = {
+            id: ref,
+            name: name || slug.split('/')[1],
+            version: versionHash ? versionHash.substring(0, 8) : 'latest',
+            pricing: 'See replicate.com',
+            supportsEdit: !!editImageField,
+            editEndpoint: editImageField ? ref : undefined,
+            editImageField: editImageField || undefined,
+            editImageArray: editImageArray,
+            pricingSource: 'manual',
+            custom: true
+        };
+
+        this.customModels = this.customModels.filter(m => m.id !== ref);
+        this.customModels.push(model);
+        return model;
+    }
+
+    removeModel(ref) {
+        this.customModels = this.customModels.filter(m => m.id !== ref);
+    }
+
+    _findModel(ref) {
+        return this.getSupportedModels().imageModels.find(m => m.id === ref);
+    }
+
+    async _fetchJson(url, options, errorLabel) {
+        const response = await httpFetch(url, {
+            ...options,
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                ...options.headers
+            }
+        });
+
+        if (!response.ok) {
+            const error = await response.text();
+            throw new HttpError(`Replicate ${errorLabel} failed (${response.status}): ${error}`, { status: response.status });
+        }
+
+        return await response.json();
+    }
+
+    async uploadImage(blob) {
+        const formData = new FormData();
+        formData.append('content', blob, `ref_${Date.now()}.png`);
+
+        const data = await this._fetchJson(`${this.baseUrl}/files`, {
+            method: 'POST',
+            body: formData
+        }, 'upload');
+
+        return data.urls?.get;
+    }
+
+    async _createPrediction(ref, input, signal) {
+        const [slug, versionHash] = ref.split(':');
+
+        // Pinned versions go through /predictions, official models through /models/{owner}/{name}
+        const url = versionHash
+            ? `${this.baseUrl}/predictions`
+            : `${this.baseUrl}/models/${slug}/predictions`;
+        const body = versionHash ? { version: versionHash, input } : { input };
+
+        const prediction = await this._fetchJson(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal
+        }, 'createPrediction');
+
+        return prediction.id;
+    }
+
+    // 'starting' is reported as queued; while processing, new log lines are passed on and the
+    // last "NN%|" progress bar in the logs becomes the progress
+    async _pollPrediction(predictionId, signal, onProgress, maxAttempts = 120, intervalMs = 2000) {
+        const report = createProgressReporter(onProgress, { predictionId });
+        let logCount = 0;
+        try {
+            for (let i = 0; i < maxAttempts; i++) {
+                const prediction = await this._fetchJson(`${this.baseUrl}/predictions/${predictionId}`, {
+                    method: 'GET',
+                    signal
+                }, 'getPrediction');
+
+                if (prediction.status === 'succeeded') {
+                    report({ status: 'completed', progress: 100 });
+                    return prediction;
+                } else if (prediction.status === 'failed' || prediction.status === 'canceled') {
+                    throw new Error(`Prediction ${prediction.status}: ${prediction.error || 'Unknown error'}`);
+                }
+
+                if (prediction.status === 'starting') {
+                    report({ status: 'queued' });
+                } else {
+                    const lines = (prediction.logs || '').split('\n').filter(line => line.trim());
+                    const percents = [...(prediction.logs || '').matchAll(/(\d{1,3})%\|/g)];
+                    const progress = percents.length > 0 ? Number(percents[percents.length - 1][1]) : undefined;
+                    report({ status: 'running', progress, logs: lines.slice(logCount) });
+                    logCount = lines.length;
+                }
+
+                // Still starting/processing, wait and retry
+                await sleep(intervalMs, signal);
+            }
+        } catch (error) {
+            // Stop the prediction server-side so a cancelled run stops billing
+            if (isAbortError(error)) {
+                this._fetchJson(`${this.baseUrl}/predictions/${predictionId}/cancel`, { method: 'POST' }, 'cancelPrediction')
+                    .catch(() => {});
+            }
+            throw error;
+        }
+
+        throw new Error('Prediction timeout: exceeded maximum polling attempts');
+    }
+
+    _extractImageUrls(output) {
+        const urls = [].concat(output ?? [])
+            .map(item => typeof item === 'string' ? item : item?.url)
+            .filter(Boolean);
+        if (urls.length === 0) {
+            throw new Error('No image URL in prediction output');
+        }
+        return urls;
+    }
+
+    // Replicate image models call the output count num_outputs
+    _buildInput(prompt, dynamicParams) {
+        const { num_images, ...rest } = dynamicParams;
+        const input = { prompt, ...rest };
+        if (num_images > 1) {
+            input.num_outputs = num_images;
+        }
+        return input;
+    }
+
+    async generateImage({ prompt, aspectRatio, resolution, model, dynamicParams = {}, signal, onProgress }) {
+        const input = this._buildInput(prompt, dynamicParams);
+
+        // Add legacy params if not in dynamicParams
+        if (!dynamicParams.aspect_ratio && aspectRatio) {
+            input.aspect_ratio = aspectRatio;
+        }
+
+        const predictionId = await this._createPrediction(model, input, signal);
+        const prediction = await this._pollPrediction(predictionId, signal, onProgress);
+        return this._extractImageUrls(prediction.output);
+    }
+
+    async editImage({ sourceUrl, prompt, resolution, model, editEndpoint, dynamicParams = {}, signal, onProgress }) {
+        const modelInfo = this._findModel(model) || {};
+        const field = modelInfo.editImageField || 'image';
+        const imageUrl = await toPortableImageUrl(sourceUrl, signal);
+
+        const input = {
+            ...this._buildInput(prompt, dynamicParams),
+            [field]: modelInfo.editImageArray ? [imageUrl] : imageUrl
+        };
+
+        const predictionId = await this._createPrediction(editEndpoint || modelInfo.editEndpoint || model, input, signal);
+        const prediction = await this._pollPrediction(predictionId, signal, onProgress);
+        return this._extractImageUrls(prediction.output);
+    }
+
+    async generatePrompts(params) {
+        throw new Error('Replicate does not support prompt generation. Use FAL.ai for LLM features.');
+    }
+
+    async captionImage(params) {
+        throw new Error('Replicate does not support image captioning. Use FAL.ai for vision features.');
+    }
+
+    getSupportedModels() {
+        return {
+            imageModels: [...REPLICATE_MODELS, ...this.customModels],
+            llmModels: []
+        };
+    }
+}
+
+// =============================================================================
+// ComfyUI Provider (Local, workflow templates)
+// =============================================================================
+
+// Workflows are ComfyUI graphs in API format ("Save (API Format)"). String values
+// can hold placeholders: {{prompt}}, {{negative_prompt}}, {{seed}}, {{width}},
+// {{height}}, {{batch_size}}, {{denoise}} and {{image}} (uploaded source image, edit workflows
+// only), plus any key of the workflow's `defaults`. A value that is exactly one placeholder
+// keeps the type of the substituted value.
+const COMFYUI_PLACEHOLDERS = ['prompt', 'negative_prompt', 'seed', 'width', 'height', 'batch_size', 'denoise'];
+
+// Used when a workflow's own defaults don't set them
+const COMFYUI_BASE_VALUES = {
+    negative_prompt: '',
+    denoise: 0.6
+};
+
+const COMFYUI_DEFAULT_WORKFLOW = {
+    id: 'comfyui-default-sdxl',
+    name: 'Default SDXL',
+    version: '1.0',
+    defaults: {
+        negative_prompt: 'blurry, low quality, watermark',
+        denoise: 0.6
+    },
+    workflow: {
+        '3': { class_type: 'KSampler', inputs: { seed: '{{seed}}', steps: 25, cfg: 7, sampler_name: 'euler', scheduler: 'normal', denoise: 1, model: ['4', 0], positive: ['6', 0], negative: ['7', 0], latent_image: ['5', 0] } },
+        '4': { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: 'sd_xl_base_1.0.safetensors' } },
+        '5': { class_type: 'EmptyLatentImage', inputs: { width: '{{width}}', height: '{{height}}', batch_size: '{{batch_size}}' } },
+        '6': { class_type: 'CLIPTextEncode', inputs: { text: '{{prompt}}', clip: ['4', 1] } },
+        '7': { class_type: 'CLIPTextEncode', inputs: { text: '{{negative_prompt}}', clip: ['4', 1] } },
+        '8': { class_type: 'VAEDecode', inputs: { samples: ['3', 0], vae: ['4', 2] } },
+        '9': { class_type: 'SaveImage', inputs: { filename_prefix: 'lorafactory', images: ['8', 0] } }
+    },
+    editWorkflow: {
+        '3': { class_type: 'KSampler', inputs: { seed: '{{seed}}', steps: 25, cfg: 7, sampler_name: 'euler', scheduler: 'normal', denoise: '{{denoise}}', model: ['4', 0], positive: ['6', 0], negative: ['7', 0], latent_image: ['11', 0] } },
+        '4': { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: 'sd_xl_base_1.0.safetensors' } },
+        '6': { class_type: 'CLIPTextEncode', inputs: { text: '{{prompt}}', clip: ['4', 1] } },
+        '7': { class_type: 'CLIPTextEncode', inputs: { text: '{{negative_prompt}}', clip: ['4', 1] } },
+        '8': { class_type: 'VAEDecode', inputs: { samples: ['3', 0], vae: ['4', 2] } },
+        '9': { class_type: 'SaveImage', inputs: { filename_prefix: 'lorafactory_edit', images: ['8', 0] } },
+        '10': { class_type: 'LoadImage', inputs: { image: '{{image}}' } },
+        '11': { class_type: 'VAEEncode', inputs: { pixels: ['10', 0], vae: ['4', 2] } }
+    }
+};
+
+export class ComfyUiProvider extends ApiProvider {
+    constructor() {
+        super({
+            id: 'comfyui',
+            name: 'ComfyUI (Local)',
+            capabilities: ['text-to-image', 'image-to-image'],
+            requiresApiKey: false
+        });
+        this.apiKey = null;
+        // ComfyUI must be started with --enable-cors-header for browser access
+        this.defaultBaseUrl = 'http://127.0.0.1:8188';
+        this.baseUrl = this.defaultBaseUrl;
+        this.clientId = `lorafactory-${Math.random().toString(36).slice(2)}`;
+        this.workflows = [COMFYUI_DEFAULT_WORKFLOW];
+    }
+
+    async setApiKey(key) {
+        // Optional: only needed behind an authenticating reverse proxy
+        this.apiKey = key || null;
+    }
+
+    addWorkflow({ id, name, workflow, editWorkflow, defaults = {} }) {
+        if (!id || !workflow || typeof workflow !== 'object') {
+            throw new Error('A ComfyUI workflow needs an id and an API-format workflow graph');
+        }
+        if (!JSON.stringify(workflow).includes('{{prompt}}')) {
+            throw new Error(`Workflow "${name || id}" has no {{prompt}} placeholder`);
+        }
+        if (editWorkflow && !JSON.stringify(editWorkflow).includes('{{image}}')) {
+            throw new Error(`Edit workflow for "${name || id}" has no {{image}} placeholder`);
+        }
+
+        // Placeholders nothing fills would fail every run, so reject them now
+        const known = [...COMFYUI_PLACEHOLDERS, ...Object.keys(defaults)];
+        this._assertPlaceholders(workflow, known, `Workflow "${name || id}"`);
+        if (editWorkflow) {
+            this._assertPlaceholders(editWorkflow, [...known, 'image'], `Edit workflow for "${name || id}"`);
+        }
+
+        const entry = { id, name: name || id, version: '1.0', workflow, editWorkflow: editWorkflow || null, defaults };
+        this.workflows = this.workflows.filter(w => w.id !== id);
+        this.workflows.push(entry);
+        return entry;
+    }
+
+    _assertPlaceholders(graph, known, label) {
+        const used = [...JSON.stringify(graph).matchAll(/\{\{(\w+)\}\}/g)].map(match => match[1]);
+        const unknown = [...new Set(used.filter(key => !known.includes(key)))];
+        if (unknown.length > 0) {
+            throw new Error(`${label} uses ${unknown.map(key => `{{${key}}}`).join(', ')}, which never get a value`);
+        }
+    }
+
+    removeWorkflow(id) {
+        if (id === COMFYUI_DEFAULT_WORKFLOW.id) return;
+        this.workflows = this.workflows.filter(w => w.id !== id);
+    }
+
+    _getWorkflow(id) {
+        const workflow = this.workflows.find(w => w.id === id);
+        if (!workflow) {
+            throw new Error(`ComfyUI workflow "${id}" not found`);
+        }
+        return workflow;
+    }
+
+    _headers(extra = {}) {
+        const headers = { ...extra };
+        if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+        return headers;
+    }
+
+    _viewUrl({ filename, subfolder = '', type = 'output' }) {
+        const query = new URLSearchParams({ filename, subfolder, type });
+        return `${this.baseUrl}/view?${query}`;
+    }
+
+    // Substitute placeholders throughout a workflow graph
+    _fillWorkflow(node, values) {
+        const resolve = (key) => {
+            if (values[key] === undefined || values[key] === null) {
+                throw new Error(`ComfyUI workflow placeholder {{${key}}} has no value`);
+            }
+            return values[key];
+        };
+
+        if (typeof node === 'string') {
+            const exact = node.match(/^\{\{(\w+)\}\}$/);
+            if (exact) return resolve(exact[1]);
+            return node.replace(/\{\{(\w+)\}\}/g, (_, key) => String(resolve(key)));
+        }
+        if (Array.isArray(node)) {
+            return node.map(item => this._fillWorkflow(item, values));
+        }
+        if (node && typeof node === 'object') {
+            const filled = {};
+            for (const [key, value] of Object.entries(node)) {
+                filled[key] = this._fillWorkflow(value, values);
+            }
+            return filled;
+        }
+        return node;
+    }
+
+    _buildValues(workflow, { prompt, aspectRatio, dynamicParams = {} }) {
+        const [width, height] = SDXL_SIZES[dynamicParams.aspect_ratio || aspectRatio] || SDXL_SIZES['1:1'];
+        const seed = Number.isFinite(dynamicParams.seed)
+            ? dynamicParams.seed
+            : Math.floor(Math.random() * 2 ** 32);
+
+        return {
+            width,
+            height,
+            batch_size: Math.max(1, Number(dynamicParams.num_images) || 1),
+            ...COMFYUI_BASE_VALUES,
+            ...workflow.defaults,
+            ...dynamicParams,
+            prompt,
+            seed
+        };
+    }
+
+    async uploadImage(blob) {
+        const formData = new FormData();
+        formData.append('image', blob, `lorafactory_${Date.now()}.png`);
+        formData.append('overwrite', 'true');
+
+        const response = await httpFetch(`${this.baseUrl}/upload/image`, {
+            method: 'POST',
+            headers: this._headers(),
+            body: formData
+        });
+
+        if (!response.ok) {
+            const error = await response.text();
+            throw new HttpError(`ComfyUI upload failed (${response.status}): ${error}`, { status: response.status });
+        }
+
+        const data = await response.json();
+        return this._viewUrl({ filename: data.name, subfolder: data.subfolder, type: data.type || 'input' });
+    }
+
+    // LoadImage needs the name of a file in ComfyUI's input folder
+    async _toInputImageName(sourceUrl, signal) {
+        let viewUrl = sourceUrl;
+        if (!sourceUrl.startsWith(`${this.baseUrl}/view?`) || !sourceUrl.includes('type=input')) {
+            const blob = await httpFetch(sourceUrl, { signal }).then(r => r.blob());
+            viewUrl = await this.uploadImage(blob);
+        }
+
+        const query = new URL(viewUrl).searchParams;
+        const subfolder = query.get('subfolder');
+        return subfolder ? `${subfolder}/${query.get('filename')}` : query.get('filename');
+    }
+
+    async _queuePrompt(graph, signal) {
+        const response = await httpFetch(`${this.baseUrl}/prompt`, {
+            method: 'POST',
+            headers: this._headers({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ prompt: graph, client_id: this.clientId }),
+            signal
+        });
+
+        if (!response.ok) {
+            const error = await response.text();
+            throw new HttpError(`ComfyUI rejected workflow (${response.status}): ${error}`, { status: response.status });
+        }
+
+        const data = await response.json();
+        return data.prompt_id;
+    }
+
+    async _pollHistory(promptId, signal, maxAttempts = 300, intervalMs = 1000) {
+        try {
+            for (let i = 0; i < maxAttempts; i++) {
+                const response = await httpFetch(`${this.baseUrl}/history/${promptId}`, {
+                    headers: this._headers(),
+                    signal
+                });
+
+                if (!response.ok) {
+                    throw new HttpError(`ComfyUI history failed: ${response.status}`, { status: response.status });
                 }
-            ]
+
+                const history = await response.json();
+                const entry = history[promptId];
+
+                if (entry?.status?.status_str === 'error') {
+                    const message = (entry.status.messages || [])
+                        .filter(([type]) => type === 'execution_error')
+                        .map(([, data]) => data.exception_message)
+                        .join('; ');
+                    throw new Error(`ComfyUI execution failed: ${message || 'Unknown error'}`);
+                }
+
+                if (entry?.status?.completed || (entry?.outputs && Object.keys(entry.outputs).length > 0)) {
+                    const urls = Object.values(entry.outputs || {})
+                        .flatMap(output => (output.images || []).filter(img => img.type === 'output'))
+                        .map(image => this._viewUrl(image));
+                    if (urls.length > 0) return urls;
+                    throw new Error('ComfyUI workflow finished without a saved image');
+                }
+
+                // Still queued or running, wait and retry
+                await sleep(intervalMs, signal);
+            }
+        } catch (error) {
+            if (isAbortError(error)) this._cancelPrompt(promptId);
+            throw error;
+        }
+
+        throw new Error('ComfyUI timeout: exceeded maximum polling attempts');
+    }
+
+    // Interrupt the prompt if it is the one executing, else drop it from the queue.
+    // /interrupt stops whatever runs, which may be another item's prompt, so it is only sent
+    // for this one (with its prompt_id, which newer servers check as well).
+    async _cancelPrompt(promptId) {
+        const headers = this._headers({ 'Content-Type': 'application/json' });
+        try {
+            const response = await httpFetch(`${this.baseUrl}/queue`, { headers: this._headers(), retries: 0 });
+            const queue = response.ok ? await response.json() : {};
+            const running = (queue.queue_running || []).some(item => item[1] === promptId);
+
+            if (running) {
+                await httpFetch(`${this.baseUrl}/interrupt`, {
+                    method: 'POST', headers, body: JSON.stringify({ prompt_id: promptId }), retries: 0
+                });
+            } else {
+                await httpFetch(`${this.baseUrl}/queue`, {
+                    method: 'POST', headers, body: JSON.stringify({ delete: [promptId] }), retries: 0
+                });
+            }
+        } catch (error) {
+            console.warn(`[ComfyUI] Could not cancel prompt ${promptId}:`, error.message);
+        }
+    }
+
+    async generateImage({ prompt, aspectRatio, model, dynamicParams = {}, signal }) {
+        const workflow = this._getWorkflow(model);
+        const values = this._buildValues(workflow, { prompt, aspectRatio, dynamicParams });
+
+        const promptId = await this._queuePrompt(this._fillWorkflow(workflow.workflow, values), signal);
+        return await this._pollHistory(promptId, signal);
+    }
+
+    async editImage({ sourceUrl, prompt, model, dynamicParams = {}, signal }) {
+        const workflow = this._getWorkflow(model);
+        if (!workflow.editWorkflow) {
+            throw new Error(`ComfyUI workflow "${workflow.name}" has no edit workflow`);
+        }
+
+        const values = this._buildValues(workflow, { prompt, dynamicParams });
+        values.image = await this._toInputImageName(sourceUrl, signal);
+
+        const promptId = await this._queuePrompt(this._fillWorkflow(workflow.editWorkflow, values), signal);
+        return await this._pollHistory(promptId, signal);
+    }
+
+    async generatePrompts(params) {
+        throw new Error('ComfyUI does not support prompt generation. Use FAL.ai for LLM features.');
+    }
+
+    async captionImage(params) {
+        throw new Error('ComfyUI does not support image captioning. Use FAL.ai for vision features.');
+    }
+
+    getSupportedModels() {
+        // Each workflow template is exposed as a "model"
+        return {
+            imageModels: this.workflows.map(w => ({
+                id: w.id,
+                name: w.name,
+                version: w.version || '1.0',
+                pricing: 'Free (local)',
+                supportsEdit: !!w.editWorkflow,
+                editEndpoint: w.editWorkflow ? w.id : undefined,
+                pricingSource: 'manual'
+            })),
+            llmModels: []
+        };
+    }
+}
+
+// =============================================================================
+// Stable Diffusion WebUI Provider (Automatic1111 / Forge)
+// =============================================================================
+
+// The "current" model uses whatever checkpoint is loaded in the WebUI
+const A1111_CURRENT_MODEL = 'a1111-current';
+
+// Payload fields passed through from dynamicParams
+const A1111_OPTIONS = [
+    'negative_prompt', 'steps', 'cfg_scale', 'sampler_name', 'scheduler', 'seed',
+    'width', 'height', 'denoising_strength', 'restore_faces', 'tiling'
+];
+
+const A1111_DEFAULTS = {
+    negative_prompt: 'blurry, low quality, watermark',
+    steps: 25,
+    cfg_scale: 7,
+    sampler_name: 'Euler a'
+};
+
+export class A1111Provider extends ApiProvider {
+    constructor() {
+        super({
+            id: 'a1111',
+            name: 'SD WebUI (A1111/Forge)',
+            capabilities: ['text-to-image', 'image-to-image'],
+            requiresApiKey: false
+        });
+        this.apiKey = null;
+        // The WebUI must be started with --api and --cors-allow-origins for browser access
+        this.defaultBaseUrl = 'http://127.0.0.1:7860';
+        this.baseUrl = this.defaultBaseUrl;
+        this.checkpoints = [];
+    }
+
+    async setApiKey(key) {
+        // Optional "user:password" matching the WebUI's --api-auth
+        this.apiKey = key || null;
+    }
+
+    _headers(extra = {}) {
+        const headers = { ...extra };
+        if (this.apiKey) headers['Authorization'] = `Basic ${btoa(this.apiKey)}`;
+        return headers;
+    }
+
+    async _request(method, path, payload, signal) {
+        const logParams = { path, checkpoint: payload?.override_settings?.sd_model_checkpoint };
+
+        try {
+            const response = await httpFetch(`${this.baseUrl}${path}`, {
+                method: payload ? 'POST' : 'GET',
+                headers: this._headers(payload ? { 'Content-Type': 'application/json' } : {}),
+                body: payload ? JSON.stringify(payload) : undefined,
+                signal,
+                longRunning: !!payload
+            });
+
+            if (!response.ok) {
+                const error = await response.text();
+                throw new HttpError(`SD WebUI error (${response.status}): ${error}`, { status: response.status });
+            }
+
+            const data = await response.json();
+            if (window.monitor && payload) {
+                window.monitor.logApiCall('SD WebUI', method, logParams, { images: data.images?.length });
+            }
+            return data;
+        } catch (error) {
+            // Closing the connection doesn't stop the WebUI, so interrupt the running job
+            if (isAbortError(error)) {
+                httpFetch(`${this.baseUrl}/sdapi/v1/interrupt`, { method: 'POST', headers: this._headers(), retries: 0 }).catch(() => {});
+            }
+            if (window.monitor && payload) {
+                window.monitor.logApiCall('SD WebUI', method, logParams, null, error);
+            }
+            throw error;
+        }
+    }
+
+    async refreshModels() {
+        const models = await this._request('refreshModels', '/sdapi/v1/sd-models');
+        this.checkpoints = models.map(m => ({ title: m.title, name: m.model_name }));
+    }
+
+    _buildPayload(prompt, model, aspectRatio, dynamicParams) {
+        const [width, height] = SDXL_SIZES[dynamicParams.aspect_ratio || aspectRatio] || SDXL_SIZES['1:1'];
+        const batchSize = Math.max(1, Number(dynamicParams.num_images) || 1);
+        const payload = { ...A1111_DEFAULTS, prompt, width, height, batch_size: batchSize, n_iter: 1 };
+
+        for (const key of A1111_OPTIONS) {
+            if (dynamicParams[key] !== undefined && dynamicParams[key] !== '') {
+                payload[key] = dynamicParams[key];
+            }
+        }
+
+        if (model && model !== A1111_CURRENT_MODEL) {
+            payload.override_settings = { sd_model_checkpoint: model };
+        }
+        return payload;
+    }
+
+    // The API returns bare base64 PNGs; convert so the grid and downloadZIP can use them
+    _extractImageUrls(data) {
+        if (!data.images?.length) {
+            throw new Error('No image in SD WebUI response');
+        }
+        return data.images.map(image => base64ToObjectUrl(image.replace(/^data:image\/\w+;base64,/, '')));
+    }
+
+    async generateImage({ prompt, aspectRatio, model, dynamicParams = {}, signal }) {
+        const payload = this._buildPayload(prompt, model, aspectRatio, dynamicParams);
+        const data = await this._request('generateImage', '/sdapi/v1/txt2img', payload, signal);
+        return this._extractImageUrls(data);
+    }
+
+    async editImage({ sourceUrl, prompt, model, dynamicParams = {}, signal }) {
+        const sourceBlob = await httpFetch(sourceUrl, { signal }).then(r => r.blob());
+        const payload = {
+            denoising_strength: 0.6,
+            ...this._buildPayload(prompt, model, dynamicParams.aspect_ratio, dynamicParams),
+            init_images: [await blobToDataUrl(sourceBlob)]
+        };
+
+        const data = await this._request('editImage', '/sdapi/v1/img2img', payload, signal);
+        return this._extractImageUrls(data);
+    }
+
+    async generatePrompts(params) {
+        throw new Error('SD WebUI does not support prompt generation. Use FAL.ai for LLM features.');
+    }
+
+    async captionImage(params) {
+        throw new Error('SD WebUI does not support image captioning. Use FAL.ai for vision features.');
+    }
+
+    getSupportedModels() {
+        // Every checkpoint supports img2img, so edit goes to the same model id
+        const current = { id: A1111_CURRENT_MODEL, name: 'Loaded checkpoint' };
+        const checkpoints = this.checkpoints.map(c => ({ id: c.title, name: c.name }));
+
+        return {
+            imageModels: [current, ...checkpoints].map(m => ({
+                ...m,
+                version: '1.0',
+                pricing: 'Free (local)',
+                supportsEdit: true,
+                editEndpoint: m.id,
+                pricingSource: 'manual'
+            })),
+            llmModels: []
+        };
+    }
+}
+
+// =============================================================================
+// Mock Provider (offline)
+// =============================================================================
+
+// Placeholder size per aspect ratio: the SDXL sizes at half scale keep blobs small
+const MOCK_IMAGE_SCALE = 0.5;
+
+const MOCK_SIMULATION_DEFAULTS = {
+    minLatencyMs: 300,      // Each call waits a random time in [min, max]
+    maxLatencyMs: 1200,
+    failureRate: 0,         // 0-1; a failed call throws a retryable 503 so retries/failover run
+    captionTemplate: 'mock caption, {{prompt}}, seed {{seed}}'
+};
+
+// Scenario words cycled through by index, so the same request always yields the same prompts
+const MOCK_VARIATIONS = [
+    'at golden hour', 'in a white studio', 'on a rainy street', 'in a forest clearing',
+    'from a low angle', 'in close-up', 'under neon lights', 'on a beach at noon',
+    'in soft window light', 'from above', 'in a snowy landscape', 'against a brick wall'
+];
+
+// FNV-1a, for seeds and colours derived from the prompt
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Greedy word wrap for canvas text
+function wrapCanvasText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const next = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(next).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = next;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+// Needs no network or key: draws placeholder images on a canvas, returns prompt lists
+// built from the request and templated captions. For dry runs of a full Pair/Reference
+// run, export checks and UI work without spending credits.
+export class MockProvider extends ApiProvider {
+    constructor() {
+        super({
+            id: 'mock',
+            name: 'Mock (Offline)',
+            capabilities: ['text-to-image', 'image-to-image', 'llm', 'vision'],
+            requiresApiKey: false
+        });
+        this.simulation = { ...MOCK_SIMULATION_DEFAULTS };
+        // Object URL -> { prompt, seed, mode } of generated images, for captions
+        this.images = new Map();
+    }
+
+    async setApiKey(key) {
+        // Nothing to authenticate
+    }
+
+    configureSimulation(overrides = {}) {
+        const next = { ...this.simulation };
+        for (const key of Object.keys(MOCK_SIMULATION_DEFAULTS)) {
+            if (overrides[key] !== undefined && overrides[key] !== null) {
+                next[key] = overrides[key];
+            }
+        }
+        next.maxLatencyMs = Math.max(next.minLatencyMs, next.maxLatencyMs);
+        next.failureRate = Math.min(1, Math.max(0, next.failureRate));
+        this.simulation = next;
+        return { ...this.simulation };
+    }
+
+    async testConnection(params = {}) {
+        return {
+            ok: true,
+            message: 'Mock provider is offline and always available',
+            capabilities: this._capabilityReport(Object.fromEntries(this.capabilities.map(c => [c, true]))),
+            account: null
+        };
+    }
+
+    // Wait the simulated latency, reporting queued/running like a polling provider, then
+    // maybe fail. Failures happen after the wait so Stop and progress can be exercised too.
+    async _simulate(method, params, signal, onProgress) {
+        const { minLatencyMs, maxLatencyMs, failureRate } = this.simulation;
+        const latency = minLatencyMs + Math.random() * (maxLatencyMs - minLatencyMs);
+        const steps = 4;
+        const report = createProgressReporter(onProgress);
+
+        report({ status: 'queued', position: 1 });
+        for (let step = 1; step < steps; step++) {
+            await sleep(latency / steps, signal);
+            report({ status: 'running', progress: Math.round(step / steps * 100), logs: [`step ${step}/${steps - 1}`] });
+        }
+        await sleep(latency / steps, signal);
+
+        if (Math.random() < failureRate) {
+            const error = new HttpError('Mock provider: simulated failure (503)', { status: 503 });
+            if (window.monitor) window.monitor.logApiCall('Mock', method, params, null, error);
+            throw error;
+        }
+        if (window.monitor) window.monitor.logApiCall('Mock', method, params, { latencyMs: Math.round(latency) });
+        report({ status: 'completed', progress: 100 });
+    }
+
+    _seed(prompt, dynamicParams) {
+        // Negative seeds mean "random" in most UIs; keep the output deterministic anyway
+        const seed = parseInt(dynamicParams.seed, 10);
+        return seed >= 0 ? seed : hashString(prompt || '');
+    }
+
+    async _loadSource(sourceUrl, signal) {
+        try {
+            const blob = await httpFetch(sourceUrl, { signal, retries: 0 }).then(r => r.blob());
+            return await createImageBitmap(blob);
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            // Remote sources may refuse CORS; the placeholder still records the edit
+            console.warn('[Mock] Could not load edit source, drawing a plain placeholder:', error.message);
+            return null;
+        }
+    }
+
+    // Placeholder: seed-coloured background (or the edit source, tinted), stamped with
+    // mode, seed and the wrapped prompt
+    async _renderPlaceholder({ prompt, seed, mode, aspectRatio, source }) {
+        let [baseWidth, baseHeight] = SDXL_SIZES[aspectRatio] || SDXL_SIZES['1:1'];
+        if (source && !SDXL_SIZES[aspectRatio]) {
+            // Edits without an aspect ratio keep the source's shape at the same pixel count
+            const scale = Math.sqrt(baseWidth * baseHeight / (source.width * source.height));
+            [baseWidth, baseHeight] = [source.width * scale, source.height * scale];
+        }
+        const width = Math.round(baseWidth * MOCK_IMAGE_SCALE);
+        const height = Math.round(baseHeight * MOCK_IMAGE_SCALE);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        const hue = seed % 360;
+        if (source) {
+            ctx.drawImage(source, 0, 0, width, height);
+            ctx.fillStyle = `hsla(${hue}, 60%, 25%, 0.55)`;
+            ctx.fillRect(0, 0, width, height);
+        } else {
+            const gradient = ctx.createLinearGradient(0, 0, width, height);
+            gradient.addColorStop(0, `hsl(${hue}, 55%, 35%)`);
+            gradient.addColorStop(1, `hsl(${(hue + 60) % 360}, 55%, 20%)`);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        const margin = Math.round(width * 0.06);
+        ctx.fillStyle = '#fff';
+        ctx.textBaseline = 'top';
+        ctx.font = `bold ${Math.round(height * 0.06)}px sans-serif`;
+        ctx.fillText(`MOCK · ${mode}`, margin, margin);
+        ctx.font = `${Math.round(height * 0.04)}px monospace`;
+        ctx.fillText(`seed ${seed} · ${width}×${height}`, margin, margin + height * 0.08);
+
+        const fontSize = Math.round(height * 0.035);
+        ctx.font = `${fontSize}px sans-serif`;
+        const lines = wrapCanvasText(ctx, prompt || '(no prompt)', width - margin * 2);
+        const maxLines = Math.floor((height - margin * 2 - height * 0.16) / (fontSize * 1.3));
+        lines.slice(0, maxLines).forEach((line, i) => {
+            ctx.fillText(line, margin, margin + height * 0.16 + i * fontSize * 1.3);
+        });
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(b => b ? resolve(b) : reject(new Error('Failed to render mock image')), 'image/png');
+        });
+        return URL.createObjectURL(blob);
+    }
+
+    async _renderImages({ prompt, aspectRatio, dynamicParams, mode, source }) {
+        const count = Math.max(1, Number(dynamicParams.num_images) || 1);
+        const seed = this._seed(prompt, dynamicParams);
+        const urls = [];
+        for (let i = 0; i < count; i++) {
+            const url = await this._renderPlaceholder({
+                prompt,
+                seed: seed + i,
+                mode,
+                aspectRatio: dynamicParams.aspect_ratio || aspectRatio,
+                source
+            });
+            this.images.set(url, { prompt, seed: seed + i, mode });
+            urls.push(url);
+        }
+        return urls;
+    }
+
+    async uploadImage(blob) {
+        return URL.createObjectURL(blob);
+    }
+
+    async generateImage({ prompt, aspectRatio, model, dynamicParams = {}, signal, onProgress }) {
+        await this._simulate('generateImage', { model, prompt }, signal, onProgress);
+        return await this._renderImages({ prompt, aspectRatio, dynamicParams, mode: 'text-to-image' });
+    }
+
+    async editImage({ sourceUrl, prompt, model, dynamicParams = {}, signal, onProgress }) {
+        await this._simulate('editImage', { model, prompt }, signal, onProgress);
+        const source = await this._loadSource(sourceUrl, signal);
+        try {
+            return await this._renderImages({ prompt, dynamicParams, mode: 'edit', source });
+        } finally {
+            source?.close();
+        }
+    }
+
+    // Shaped after the JSON the app asks for: pairs when the request mentions base/edit
+    // prompts, otherwise { prompt } entries. The quoted theme and transformation are reused.
+    async generatePrompts({ systemPrompt = '', userPrompt = '', count, model, signal }) {
+        await this._simulate('generatePrompts', { model, count }, signal);
+
+        const quoted = (text, label) => text.match(new RegExp(`${label}[^"]*"([^"]*)"`, 'i'))?.[1];
+        const theme = quoted(userPrompt, '') || 'a test subject';
+        const total = Math.max(1, Number(count) || 1);
+        const scenario = (i) => MOCK_VARIATIONS[i % MOCK_VARIATIONS.length];
+
+        if (/base_prompt/.test(userPrompt)) {
+            const transformation = quoted(systemPrompt, 'transformation to learn:') || 'apply the edit';
+            const actionName = quoted(systemPrompt, 'action name:') || 'mock_edit';
+            return Array.from({ length: total }, (_, i) => ({
+                base_prompt: `${theme}, ${scenario(i)} (mock ${i + 1})`,
+                edit_prompt: transformation,
+                action_name: actionName
+            }));
+        }
+        return Array.from({ length: total }, (_, i) => ({ prompt: `${theme}, ${scenario(i)} (mock ${i + 1})` }));
+    }
+
+    // captionTemplate placeholders: {{prompt}}, {{seed}}, {{mode}}. Images this provider
+    // didn't draw (uploads, other providers) caption as "an uploaded image".
+    async captionImage({ imageUrl, model, signal }) {
+        await this._simulate('captionImage', { model }, signal);
+        const info = this.images.get(imageUrl) || { prompt: 'an uploaded image', seed: hashString(imageUrl || ''), mode: 'unknown' };
+        return this.simulation.captionTemplate.replace(/\{\{\s*(prompt|seed|mode)\s*\}\}/g, (_, key) => String(info[key]));
+    }
+
+    getSupportedModels() {
+        return {
+            imageModels: [{
+                id: 'mock-image',
+                name: 'Mock Placeholder',
+                version: '1.0',
+                pricing: 'Free (offline)',
+                supportsEdit: true,
+                editEndpoint: 'mock-image',
+                pricingSource: 'manual'
+            }],
+            llmModels: [{ id: 'mock-llm', name: 'Mock LLM', pricing: 'Free (offline)' }]
         };
     }
 }
@@ -802,19 +3011,41 @@ export class WisdomGateProvider extends ApiProvider {
 // Provider Manager (Singleton)
 // =============================================================================
 
+// Each role slot needs one capability from its provider
+export const PROVIDER_ROLES = {
+    image: 'text-to-image',
+    llm: 'llm',
+    vision: 'vision'
+};
+
 class ProviderManager {
     constructor() {
         this.providers = {};
-        this.activeProviderId = 'fal'; // Default
+        this.activeProviderId = 'fal'; // Default, also the image role
+
+        // LLM and vision slots follow the image provider until assigned
+        this.roles = {
+            llm: { providerId: null, model: null },
+            vision: { providerId: null, model: null }
+        };
+
+        // Ordered { providerId, model } entries tried after the image provider on retryable errors
+        this.failoverChain = [];
 
         // Register default providers
         this.register(new FalProvider());
         this.register(new KieProvider());
         this.register(new WisdomGateProvider());
+        this.register(new OpenAiProvider());
+        this.register(new LocalLlmProvider());
+        this.register(new ReplicateProvider());
+        this.register(new ComfyUiProvider());
+        this.register(new A1111Provider());
+        this.register(new MockProvider());
     }
 
     register(provider) {
-        this.providers[provider.id] = provider;
+        this.providers[provider.id] = instrumentProvider(provider);
     }
 
     unregister(id) {
@@ -841,6 +3072,97 @@ class ProviderManager {
         }
         this.activeProviderId = id;
     }
+
+    supportsRole(provider, role) {
+        return provider.capabilities.includes(PROVIDER_ROLES[role]);
+    }
+
+    // Assign a provider (null = follow the image provider) and model to a role slot
+    setRole(role, providerId, model = null) {
+        if (!PROVIDER_ROLES[role]) {
+            throw new Error(`Unknown provider role: ${role}`);
+        }
+        if (role === 'image') {
+            this.setActive(providerId);
+            return;
+        }
+
+        if (providerId) {
+            const provider = this.providers[providerId];
+            if (!provider) {
+                throw new Error(`Provider ${providerId} not found`);
+            }
+            if (!this.supportsRole(provider, role)) {
+                throw new Error(`${provider.name} does not support the ${role} role`);
+            }
+        }
+        this.roles[role] = { providerId: providerId || null, model };
+    }
+
+    getRole(role) {
+        if (role === 'image') {
+            return this.getActive();
+        }
+        // Fall back to the image provider if the assigned one was unregistered
+        return this.providers[this.roles[role]?.providerId] || this.getActive();
+    }
+
+    getRoleModel(role) {
+        return this.roles[role]?.model || null;
+    }
+
+    setFailoverChain(entries) {
+        entries.forEach(({ providerId, model }) => {
+            const provider = this.providers[providerId];
+            if (!provider) {
+                throw new Error(`Provider ${providerId} not found`);
+            }
+            if (!this.supportsRole(provider, 'image')) {
+                throw new Error(`${provider.name} cannot generate images`);
+            }
+            if (!model) {
+                throw new Error(`Failover entry for ${provider.name} needs a model`);
+            }
+        });
+        this.failoverChain = entries.map(({ providerId, model }) => ({ providerId, model }));
+    }
+
+    _modelSupportsEdit(provider, model) {
+        const info = provider.getSupportedModels().imageModels.find(m => m.id === model);
+        return !!info?.supportsEdit;
+    }
+
+    // Run an image task on the active provider, then down the failover chain while errors
+    // are retryable. task(provider, model) does the call; resolves { result, providerId, model }.
+    // `providerId` and `failoverChain` replace the current ones, e.g. for a resumed run.
+    async runWithFailover(primaryModel, task, {
+        requireEdit = false, onFailover, providerId = this.activeProviderId, failoverChain = this.failoverChain
+    } = {}) {
+        const attempts = [{ providerId, model: primaryModel }, ...failoverChain]
+            .filter(({ providerId, model }, i) => {
+                const provider = this.providers[providerId];
+                // Edit support on the primary model is validated by the caller
+                return provider && (i === 0 || !requireEdit || this._modelSupportsEdit(provider, model));
+            });
+
+        let lastError;
+        for (let i = 0; i < attempts.length; i++) {
+            const { providerId, model } = attempts[i];
+            try {
+                const result = await task(this.providers[providerId], model);
+                return { result, providerId, model };
+            } catch (error) {
+                lastError = error;
+                if (isAbortError(error) || !isRetryableError(error) || i === attempts.length - 1) {
+                    throw error;
+                }
+                if (onFailover) {
+                    onFailover(error, attempts[i], attempts[i + 1]);
+                }
+            }
+        }
+        throw lastError;
+    }
 }
 
 export const providerManager = new ProviderManager();
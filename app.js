@@ -3,10 +3,19 @@
  * Uses Provider Pattern for Multi-Vendor Support
  */
 
-import { providerManager, GenericProvider } from './api_providers.js';
+import { providerManager, GenericProvider, ApiProvider } from './api_providers.js';
 import { schemaManager } from './schema_manager.js';
 import { UIGenerator } from './ui_generator.js';
 import { parameterMapper } from './parameter_mapper.js';
+import { getHttpConfig, isAbortError, isRetryableError } from './http_client.js';
+import { validateProviderFile, buildProviderExport } from './provider_schema.js';
+import { savePendingJob, removePendingJob, listPendingJobs } from './pending_jobs.js';
+import {
+    encryptData, decryptData, getSecuritySettings, setSecuritySettings, getStorage, apiKeyStorageName,
+    migrateLegacyApiKeys, getApiKey, getProviderBaseUrls, applyProviderBaseUrls, applyHttpSettings,
+    applyKiePollingSettings, applyFalPollingSettings, applyMockSettings, listNames
+} from './settings_store.js';
+import { startRecording, startReplay, stopCassette, rewindCassette, exportCassette, getCassetteMode, getCassetteStats } from './cassette.js';
 
 // =============================================================================
 // Dynamic Parameters Management
@@ -43,6 +52,8 @@ function loadCustomProviders() {
     });
     // Refresh UI if modal is open
     populateProviderDropdown();
+    populateRoleSelectors();
+    populateFailoverPickers();
 }
 
 function addCustomProvider(config) {
@@ -61,6 +72,7 @@ function deleteCustomProvider(id) {
     const providers = getCustomProviders();
     const filtered = providers.filter(p => p.id !== id);
     saveCustomProviders(filtered);
+    getStorage().removeItem(apiKeyStorageName(id));
     providerManager.unregister(id);
     // If active was deleted, switch to default
     if (providerManager.activeProviderId === id) {
@@ -68,6 +80,749 @@ function deleteCustomProvider(id) {
     }
 }
 
+// Add/Edit Provider modal. Editing starts from the stored config, so settings the form
+// doesn't show (extra headers, LLM endpoints, status bodies, ...) survive a save.
+let editingProviderConfig = null;
+
+function showAddProviderModal() {
+    openProviderModal(null);
+}
+
+function showEditProviderModal() {
+    const id = document.getElementById('providerSelect').value;
+    const config = getCustomProviders().find(p => p.id === id);
+    if (config) openProviderModal(config);
+}
+
+function openProviderModal(config) {
+    editingProviderConfig = config;
+    const endpoints = config?.endpoints || {};
+    const gen = endpoints.generateImage || {};
+    const edit = endpoints.editImage || {};
+    const job = gen.async || {};
+    const discovery = config?.modelDiscovery || {};
+
+    const set = (id, value) => { document.getElementById(id).value = value ?? ''; };
+    const template = (body) => typeof body === 'string' ? body : (body ? JSON.stringify(body, null, 2) : '');
+    const list = (models) => models?.length ? JSON.stringify(models, null, 2) : '';
+
+    document.getElementById('addProviderTitle').textContent = config ? `✏️ Edit ${config.name}` : '🔌 Add Custom Provider';
+    document.getElementById('custProvDeleteBtn').classList.toggle('hidden', !config);
+    set('custProvName', config?.name);
+    set('custProvId', config?.id);
+    document.getElementById('custProvId').disabled = !!config;
+    set('custProvAuthHeader', config ? config.auth?.header : 'Authorization');
+    set('custProvAuthPrefix', config ? config.auth?.prefix : 'Bearer ');
+
+    set('custProvUrl', gen.url);
+    set('custProvBody', template(gen.body));
+    set('custProvBodyType', gen.bodyType || 'json');
+    set('custProvResponseFormat', gen.responseFormat || 'url');
+    set('custProvResponsePath', config ? gen.responsePath : 'images.0.url');
+
+    document.getElementById('custProvAsync').checked = !!gen.async;
+    document.getElementById('custProvAsyncFields').classList.toggle('hidden', !gen.async);
+    set('custProvJobIdPath', job.jobIdPath);
+    set('custProvStatusUrl', job.statusUrl);
+    set('custProvStatusPath', job.statusPath);
+    set('custProvSuccessValues', [].concat(job.successValues || []).join(', '));
+    set('custProvFailureValues', [].concat(job.failureValues || []).join(', '));
+    set('custProvResultPath', job.resultPath);
+    set('custProvPollInterval', (job.pollIntervalMs || 2000) / 1000);
+    set('custProvPollTimeout', (job.timeoutMs || 300000) / 1000);
+
+    set('custProvEditUrl', edit.url);
+    set('custProvEditBody', template(edit.body));
+    set('custProvEditBodyType', edit.bodyType || 'json');
+    set('custProvEditFileField', Object.keys(edit.files || {})[0]);
+
+    const uploadMode = endpoints.uploadImage ? 'endpoint' : (config?.upload === 'inline' ? 'inline' : '');
+    set('custProvUploadMode', uploadMode);
+    document.getElementById('custProvUploadFields').classList.toggle('hidden', uploadMode !== 'endpoint');
+    set('custProvUploadUrl', endpoints.uploadImage?.url);
+    set('custProvUploadPath', endpoints.uploadImage?.responsePath);
+
+    set('custProvImageModels', list(config?.models?.image));
+    set('custProvLlmModels', list(config?.models?.llm));
+    set('custProvDiscoveryUrl', discovery.url);
+    set('custProvDiscoveryType', discovery.type || 'image');
+    set('custProvDiscoveryListPath', discovery.listPath);
+    set('custProvDiscoveryIdPath', discovery.idPath);
+    set('custProvDiscoveryNamePath', discovery.namePath);
+
+    document.getElementById('apiKeyModal').classList.add('hidden');
+    document.getElementById('addProviderModal').classList.remove('hidden');
+}
+
+// Build a provider config from the modal; throws with a user-facing message
+function readProviderForm() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const parseModels = (id, label) => {
+        if (!value(id)) return [];
+        let models;
+        try {
+            models = JSON.parse(value(id));
+        } catch (e) {
+            throw new Error(`${label} must be a JSON array: ${e.message}`);
+        }
+        if (!Array.isArray(models) || models.some(m => !m?.id)) {
+            throw new Error(`${label} must be a JSON array of objects with an "id"`);
+        }
+        return models;
+    };
+
+    const config = structuredClone(editingProviderConfig || {});
+    config.id = value('custProvId');
+    config.name = value('custProvName');
+    config.auth = {
+        header: document.getElementById('custProvAuthHeader').value,
+        prefix: document.getElementById('custProvAuthPrefix').value
+    };
+    config.endpoints = config.endpoints || {};
+
+    if (!config.id || !config.name || !value('custProvUrl')) {
+        throw new Error('Please fill in Name, ID, and URL');
+    }
+
+    const responseSettings = {
+        responseFormat: value('custProvResponseFormat'),
+        responsePath: value('custProvResponsePath')
+    };
+    let job;
+    if (document.getElementById('custProvAsync').checked) {
+        const list = (id) => value(id).split(',').map(v => v.trim()).filter(Boolean);
+        job = {
+            ...config.endpoints.generateImage?.async,
+            jobIdPath: value('custProvJobIdPath') || 'id',
+            statusUrl: value('custProvStatusUrl'),
+            statusPath: value('custProvStatusPath') || 'status',
+            resultPath: value('custProvResultPath'),
+            pollIntervalMs: (parseFloat(value('custProvPollInterval')) || 2) * 1000,
+            timeoutMs: (parseFloat(value('custProvPollTimeout')) || 300) * 1000
+        };
+        if (list('custProvSuccessValues').length) job.successValues = list('custProvSuccessValues');
+        if (list('custProvFailureValues').length) job.failureValues = list('custProvFailureValues');
+
+        if (!job.statusUrl) {
+            throw new Error('Please fill in the Status URL for a job-based API');
+        }
+    }
+
+    config.endpoints.generateImage = {
+        ...config.endpoints.generateImage,
+        url: value('custProvUrl'),
+        body: document.getElementById('custProvBody').value, // Store as string template
+        bodyType: value('custProvBodyType'),
+        ...responseSettings,
+        async: job
+    };
+
+    if (value('custProvEditUrl')) {
+        const editBodyType = value('custProvEditBodyType');
+        config.endpoints.editImage = {
+            ...config.endpoints.editImage,
+            url: value('custProvEditUrl'),
+            body: document.getElementById('custProvEditBody').value,
+            bodyType: editBodyType,
+            files: editBodyType === 'multipart' ? { [value('custProvEditFileField') || 'image']: 'sourceUrl' } : undefined,
+            ...responseSettings,
+            async: job
+        };
+    } else {
+        delete config.endpoints.editImage;
+    }
+
+    const uploadMode = value('custProvUploadMode');
+    delete config.upload;
+    if (uploadMode === 'endpoint') {
+        if (!value('custProvUploadUrl')) {
+            throw new Error('Please fill in the upload endpoint URL');
+        }
+        config.endpoints.uploadImage = {
+            ...config.endpoints.uploadImage,
+            url: value('custProvUploadUrl'),
+            responsePath: value('custProvUploadPath')
+        };
+    } else {
+        delete config.endpoints.uploadImage;
+        if (uploadMode === 'inline') config.upload = 'inline';
+    }
+
+    config.models = {
+        image: parseModels('custProvImageModels', 'Image models'),
+        llm: parseModels('custProvLlmModels', 'LLM models')
+    };
+
+    if (value('custProvDiscoveryUrl')) {
+        config.modelDiscovery = {
+            ...config.modelDiscovery,
+            url: value('custProvDiscoveryUrl'),
+            type: value('custProvDiscoveryType'),
+            listPath: value('custProvDiscoveryListPath') || undefined,
+            idPath: value('custProvDiscoveryIdPath') || undefined,
+            namePath: value('custProvDiscoveryNamePath') || undefined
+        };
+    } else {
+        delete config.modelDiscovery;
+    }
+
+    // Roles are offered by capability, so derive them from the configured endpoints
+    config.capabilities = [
+        ['generateImage', 'text-to-image'],
+        ['editImage', 'image-to-image'],
+        ['generatePrompts', 'llm'],
+        ['captionImage', 'vision']
+    ].filter(([endpoint]) => config.endpoints[endpoint]).map(([, capability]) => capability);
+
+    // Drop the undefined keys left by the spreads above
+    return JSON.parse(JSON.stringify(config));
+}
+
+async function handleSaveProvider() {
+    let config;
+    try {
+        config = readProviderForm();
+    } catch (e) {
+        alert(e.message);
+        return;
+    }
+
+    const isNew = !editingProviderConfig;
+    if (isNew && providerManager.get(config.id)) {
+        alert(`A provider with ID "${config.id}" already exists`);
+        return;
+    }
+
+    addCustomProvider(config);
+    document.getElementById('addProviderModal').classList.add('hidden');
+
+    // Re-registering replaced the provider instances, so re-apply keys and reload models
+    await switchImageProvider(isNew ? providerManager.activeProviderId : config.id);
+    if (isNew) {
+        alert('Provider added! Select it from the list.');
+    }
+    showApiKeyModal();
+}
+
+async function handleDeleteProvider() {
+    const config = editingProviderConfig;
+    if (!config || !confirm(`Delete custom provider "${config.name}"?`)) return;
+
+    deleteCustomProvider(config.id);
+    document.getElementById('addProviderModal').classList.add('hidden');
+    await switchImageProvider(providerManager.activeProviderId);
+    showApiKeyModal();
+}
+
+// Export/import in the format described by custom_provider.schema.json
+function exportCustomProviders() {
+    const providers = getCustomProviders();
+    if (providers.length === 0) {
+        alert('No custom providers to export.');
+        return;
+    }
+
+    const dataStr = JSON.stringify(buildProviderExport(providers), null, 2);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `custom-providers-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+async function importCustomProviders(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+
+    try {
+        const { providers, errors } = await validateProviderFile(JSON.parse(await file.text()));
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 10).join('\n');
+            const more = errors.length > 10 ? `\n…and ${errors.length - 10} more` : '';
+            throw new Error(`File doesn't match custom_provider.schema.json:\n${shown}${more}`);
+        }
+
+        const builtIn = providers.filter(p => providerManager.get(p.id) && !providerManager.get(p.id).config);
+        if (builtIn.length > 0) {
+            throw new Error(`IDs already used by built-in providers: ${builtIn.map(p => p.id).join(', ')}`);
+        }
+
+        const existingIds = getCustomProviders().map(p => p.id);
+        const conflicts = providers.filter(p => existingIds.includes(p.id)).map(p => p.id);
+        const overwrite = conflicts.length === 0 || confirm(
+            `Found ${conflicts.length} provider(s) with existing IDs:\n${conflicts.join(', ')}\n\n` +
+            `Click OK to overwrite existing providers, or Cancel to skip conflicts.`
+        );
+
+        const merged = getCustomProviders();
+        let imported = 0;
+        for (const config of providers) {
+            const index = merged.findIndex(p => p.id === config.id);
+            if (index >= 0 && !overwrite) continue;
+            if (index >= 0) merged[index] = config;
+            else merged.push(config);
+            imported++;
+        }
+        saveCustomProviders(merged);
+        await switchImageProvider(providerManager.activeProviderId);
+        showApiKeyModal();
+
+        alert(`Successfully imported ${imported} provider(s)!`);
+    } catch (error) {
+        console.error('Provider import error:', error);
+        alert(`Failed to import providers: ${error.message}`);
+    }
+}
+
+// Test harness: runs the modal's current (unsaved) config so a bad path can be fixed in place
+let providerTestController = null;
+
+async function testProviderForm() {
+    let config;
+    try {
+        config = readProviderForm();
+    } catch (e) {
+        alert(e.message);
+        return;
+    }
+
+    const provider = new GenericProvider(config);
+    // Reuse the key of the registered provider with this ID, if any
+    await provider.setApiKey(providerManager.get(config.id)?.apiKey || null);
+
+    const results = document.getElementById('providerTestResults');
+    document.getElementById('providerTestTitle').textContent = `🧪 Test ${config.name}`;
+    results.innerHTML = '<p class="modal-desc">⏳ Running endpoints...</p>';
+    document.getElementById('providerTestModal').classList.remove('hidden');
+
+    providerTestController = new AbortController();
+    try {
+        const reports = await provider.testEndpoints({ signal: providerTestController.signal });
+        results.innerHTML = reports.map(renderProviderTestReport).join('') ||
+            '<p class="modal-desc">No endpoints configured.</p>';
+    } catch (error) {
+        if (!isAbortError(error)) {
+            results.innerHTML = `<p class="modal-desc">❌ ${escapeHtml(error.message)}</p>`;
+        }
+    } finally {
+        providerTestController = null;
+    }
+}
+
+function renderProviderTestReport({ action, exchanges, result, error }) {
+    const format = (value) => {
+        if (typeof value !== 'string') return JSON.stringify(value, null, 2);
+        try {
+            return JSON.stringify(JSON.parse(value), null, 2);
+        } catch (e) {
+            return value;
+        }
+    };
+    const clip = (text) => text.length > 5000 ? `${text.slice(0, 5000)}\n… (${text.length} chars)` : text;
+
+    const exchangeHtml = exchanges.map(({ request, response }, i) => {
+        const requestText = `${request.method} ${request.url}\n${format(request.headers)}${request.body ? `\n\n${format(request.body)}` : ''}`;
+        const responseText = response ? `HTTP ${response.status}\n\n${format(response.body)}` : '(no response)';
+        return `
+            <small>Request ${i + 1}</small>
+            <pre>${escapeHtml(clip(requestText))}</pre>
+            <small>Response ${i + 1}</small>
+            <pre>${escapeHtml(clip(responseText))}</pre>`;
+    }).join('');
+
+    // Image actions resolve to an array of URLs
+    const images = [].concat(result ?? [])
+        .filter(url => typeof url === 'string' && /^(https?:|blob:|data:image\/)/.test(url));
+    const imageHtml = images.map(url => `<img src="${escapeHtml(url).replace(/"/g, '&quot;')}" alt="${action} result">`).join('');
+    const resultHtml = error
+        ? `<pre>❌ ${escapeHtml(error)}</pre>`
+        : `<pre>${escapeHtml(clip(format(result ?? null)))}</pre>${imageHtml}`;
+
+    return `
+        <div class="form-group">
+            <label>${error ? '❌' : '✅'} ${action}</label>
+            ${exchangeHtml}
+            <small>Extracted result</small>
+            ${resultHtml}
+        </div>`;
+}
+
+function cancelProviderTest() {
+    providerTestController?.abort();
+    document.getElementById('providerTestModal').classList.add('hidden');
+}
+
+
+// =============================================================================
+// Provider Base URLs
+// =============================================================================
+
+function saveProviderBaseUrl(providerId, url) {
+    const urls = getProviderBaseUrls();
+    if (url) {
+        urls[providerId] = url;
+    } else {
+        delete urls[providerId];
+    }
+    localStorage.setItem('provider_base_urls', JSON.stringify(urls));
+}
+
+// Show the base URL field only for providers with a configurable endpoint
+function updateBaseUrlField(provider) {
+    const section = document.getElementById('baseUrlSection');
+    const input = document.getElementById('baseUrlInput');
+    if (!section || !input) return;
+
+    if (!provider.defaultBaseUrl) {
+        section.classList.add('hidden');
+        input.value = '';
+        return;
+    }
+
+    section.classList.remove('hidden');
+    input.placeholder = provider.defaultBaseUrl;
+    input.value = getProviderBaseUrls()[provider.id] || '';
+}
+
+// =============================================================================
+// Network Settings (retries / timeouts)
+// =============================================================================
+
+function setupHttpSettingsControls() {
+    const retriesInput = document.getElementById('httpRetries');
+    const timeoutInput = document.getElementById('httpTimeout');
+    if (!retriesInput || !timeoutInput) return;
+
+    const config = getHttpConfig();
+    retriesInput.value = config.retries;
+    timeoutInput.value = Math.round(config.timeoutMs / 1000);
+
+    const save = () => {
+        const retries = Math.max(0, parseInt(retriesInput.value) || 0);
+        const timeoutSeconds = Math.max(0, parseInt(timeoutInput.value) || 0);
+        localStorage.setItem('http_settings', JSON.stringify({ retries, timeoutSeconds }));
+        applyHttpSettings();
+    };
+    retriesInput.addEventListener('change', save);
+    timeoutInput.addEventListener('change', save);
+}
+
+// =============================================================================
+// Kie.ai Task Polling
+// =============================================================================
+
+function setupKiePollingControls() {
+    const intervalInput = document.getElementById('kiePollInterval');
+    const maxIntervalInput = document.getElementById('kiePollMaxInterval');
+    const timeoutInput = document.getElementById('kiePollTimeout');
+    const provider = providerManager.get('kie');
+    if (!intervalInput || !maxIntervalInput || !timeoutInput || !provider) return;
+
+    intervalInput.value = provider.polling.intervalMs / 1000;
+    maxIntervalInput.value = provider.polling.maxIntervalMs / 1000;
+    timeoutInput.value = provider.polling.timeoutMs / 1000;
+
+    const save = () => {
+        const intervalSeconds = Math.max(1, parseFloat(intervalInput.value) || 1);
+        const maxIntervalSeconds = Math.max(intervalSeconds, parseFloat(maxIntervalInput.value) || intervalSeconds);
+        const timeoutSeconds = Math.max(30, parseInt(timeoutInput.value) || 30);
+        localStorage.setItem('kie_polling', JSON.stringify({ intervalSeconds, maxIntervalSeconds, timeoutSeconds }));
+        applyKiePollingSettings();
+    };
+    [intervalInput, maxIntervalInput, timeoutInput].forEach(input => input.addEventListener('change', save));
+}
+
+// =============================================================================
+// FAL Request Timeout
+// =============================================================================
+
+function setupFalPollingControls() {
+    const timeoutInput = document.getElementById('falPollTimeout');
+    const provider = providerManager.get('fal');
+    if (!timeoutInput || !provider) return;
+
+    timeoutInput.value = provider.polling.timeoutMs / 1000;
+
+    timeoutInput.addEventListener('change', () => {
+        const timeoutSeconds = Math.max(30, parseInt(timeoutInput.value) || 30);
+        localStorage.setItem('fal_polling', JSON.stringify({ timeoutSeconds }));
+        applyFalPollingSettings();
+    });
+}
+
+// =============================================================================
+// Mock Provider Simulation
+// =============================================================================
+
+function setupMockControls() {
+    const minInput = document.getElementById('mockMinLatency');
+    const maxInput = document.getElementById('mockMaxLatency');
+    const failureInput = document.getElementById('mockFailureRate');
+    const captionInput = document.getElementById('mockCaptionTemplate');
+    const provider = providerManager.get('mock');
+    if (!minInput || !maxInput || !failureInput || !captionInput || !provider) return;
+
+    minInput.value = provider.simulation.minLatencyMs;
+    maxInput.value = provider.simulation.maxLatencyMs;
+    failureInput.value = Math.round(provider.simulation.failureRate * 100);
+    captionInput.value = provider.simulation.captionTemplate;
+
+    const save = () => {
+        const minLatencyMs = Math.max(0, parseInt(minInput.value) || 0);
+        const maxLatencyMs = Math.max(minLatencyMs, parseInt(maxInput.value) || minLatencyMs);
+        const failurePercent = Math.min(100, Math.max(0, parseFloat(failureInput.value) || 0));
+        const captionTemplate = captionInput.value.trim();
+        localStorage.setItem('mock_provider', JSON.stringify({ minLatencyMs, maxLatencyMs, failurePercent, captionTemplate }));
+        applyMockSettings();
+    };
+    [minInput, maxInput, failureInput, captionInput].forEach(input => input.addEventListener('change', save));
+}
+
+// =============================================================================
+// Replicate Pinned Models
+// =============================================================================
+
+function getReplicateModels() {
+    try {
+        const stored = localStorage.getItem('replicate_models');
+        return stored ? JSON.parse(stored) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveReplicateModels(models) {
+    localStorage.setItem('replicate_models', JSON.stringify(models));
+    applyReplicateModels();
+}
+
+// Register persisted models (community fine-tunes, pinned versions) with the provider
+function applyReplicateModels() {
+    const provider = providerManager.get('replicate');
+    if (!provider) return;
+
+    provider.customModels = [];
+    getReplicateModels().forEach(entry => {
+        try {
+            provider.addModel(entry);
+        } catch (e) {
+            console.error('Failed to register Replicate model:', entry, e);
+        }
+    });
+}
+
+function renderReplicateModelList() {
+    const list = document.getElementById('replicateModelList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    getReplicateModels().forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'pinned-model-item';
+
+        const label = document.createElement('span');
+        label.textContent = `${entry.name || entry.ref} — ${entry.ref}${entry.editImageField ? ` (edit: ${entry.editImageField}${entry.editImageArray ? '[]' : ''})` : ''}`;
+        row.appendChild(label);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-secondary btn-sm';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove model';
+        removeBtn.onclick = () => removeReplicateModel(entry.ref);
+        row.appendChild(removeBtn);
+
+        list.appendChild(row);
+    });
+}
+
+function addReplicateModel() {
+    const entry = {
+        ref: document.getElementById('replicateModelRef').value.trim(),
+        name: document.getElementById('replicateModelName').value.trim(),
+        editImageField: document.getElementById('replicateEditField').value.trim(),
+        // nano-banana/seedream style models want image_input: [url] rather than a single URL
+        editImageArray: document.getElementById('replicateEditArray').checked
+    };
+
+    if (!entry.ref) {
+        alert('Please enter a model as owner/name or owner/name:version');
+        return;
+    }
+
+    try {
+        // Validate before persisting
+        providerManager.get('replicate').addModel(entry);
+    } catch (e) {
+        alert(`❌ ${e.message}`);
+        return;
+    }
+
+    const models = getReplicateModels().filter(m => m.ref !== entry.ref);
+    models.push(entry);
+    saveReplicateModels(models);
+
+    document.getElementById('replicateModelRef').value = '';
+    document.getElementById('replicateModelName').value = '';
+    document.getElementById('replicateEditField').value = '';
+    document.getElementById('replicateEditArray').checked = false;
+    renderReplicateModelList();
+
+    if (providerManager.activeProviderId === 'replicate') {
+        populateImageModels();
+    }
+}
+
+function removeReplicateModel(ref) {
+    saveReplicateModels(getReplicateModels().filter(m => m.ref !== ref));
+    renderReplicateModelList();
+
+    if (providerManager.activeProviderId === 'replicate') {
+        populateImageModels();
+    }
+}
+
+// =============================================================================
+// ComfyUI Workflows
+// =============================================================================
+
+function getComfyWorkflows() {
+    try {
+        const stored = localStorage.getItem('comfyui_workflows');
+        return stored ? JSON.parse(stored) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveComfyWorkflows(workflows) {
+    localStorage.setItem('comfyui_workflows', JSON.stringify(workflows));
+}
+
+function applyComfyWorkflows() {
+    const provider = providerManager.get('comfyui');
+    if (!provider) return;
+
+    getComfyWorkflows().forEach(entry => {
+        try {
+            provider.addWorkflow(entry);
+        } catch (e) {
+            console.error('Failed to register ComfyUI workflow:', entry.name, e);
+        }
+    });
+}
+
+function renderComfyWorkflowList() {
+    const list = document.getElementById('comfyWorkflowList');
+    if (!list) return;
+
+    const stored = getComfyWorkflows();
+    list.innerHTML = '';
+    providerManager.get('comfyui').workflows.forEach(workflow => {
+        const row = document.createElement('div');
+        row.className = 'pinned-model-item';
+
+        const label = document.createElement('span');
+        label.textContent = `${workflow.name}${workflow.editWorkflow ? ' (txt2img + edit)' : ' (txt2img)'}`;
+        row.appendChild(label);
+
+        if (stored.some(w => w.id === workflow.id)) {
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn btn-secondary btn-sm';
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Remove workflow';
+            removeBtn.onclick = () => removeComfyWorkflow(workflow.id);
+            row.appendChild(removeBtn);
+        }
+
+        list.appendChild(row);
+    });
+}
+
+async function addComfyWorkflow() {
+    const nameInput = document.getElementById('comfyWorkflowName');
+    const workflowInput = document.getElementById('comfyWorkflowFile');
+    const editInput = document.getElementById('comfyEditWorkflowFile');
+    const name = nameInput.value.trim();
+
+    if (!name || !workflowInput.files[0]) {
+        alert('Please enter a name and choose a text-to-image workflow file');
+        return;
+    }
+
+    let entry;
+    try {
+        entry = {
+            id: `comfyui-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+            name,
+            workflow: JSON.parse(await workflowInput.files[0].text()),
+            editWorkflow: editInput.files[0] ? JSON.parse(await editInput.files[0].text()) : null
+        };
+        // Validates placeholders before anything is persisted
+        providerManager.get('comfyui').addWorkflow(entry);
+    } catch (e) {
+        alert(`❌ Invalid workflow: ${e.message}`);
+        return;
+    }
+
+    saveComfyWorkflows([...getComfyWorkflows().filter(w => w.id !== entry.id), entry]);
+
+    nameInput.value = '';
+    workflowInput.value = '';
+    editInput.value = '';
+    renderComfyWorkflowList();
+
+    if (providerManager.activeProviderId === 'comfyui') {
+        populateImageModels();
+    }
+}
+
+function removeComfyWorkflow(id) {
+    providerManager.get('comfyui').removeWorkflow(id);
+    saveComfyWorkflows(getComfyWorkflows().filter(w => w.id !== id));
+    renderComfyWorkflowList();
+
+    if (providerManager.activeProviderId === 'comfyui') {
+        populateImageModels();
+    }
+}
+
+// Show provider-specific settings in the API key modal
+function updateProviderSettings(provider) {
+    updateBaseUrlField(provider);
+
+    const editProviderBtn = document.getElementById('editProviderBtn');
+    if (editProviderBtn) {
+        editProviderBtn.classList.toggle('hidden', !provider.config);
+    }
+
+    const replicateSection = document.getElementById('replicateModelsSection');
+    if (replicateSection) {
+        replicateSection.classList.toggle('hidden', provider.id !== 'replicate');
+        if (provider.id === 'replicate') renderReplicateModelList();
+    }
+
+    const comfySection = document.getElementById('comfyWorkflowsSection');
+    if (comfySection) {
+        comfySection.classList.toggle('hidden', provider.id !== 'comfyui');
+        if (provider.id === 'comfyui') renderComfyWorkflowList();
+    }
+
+    document.getElementById('kiePollingSection')?.classList.toggle('hidden', provider.id !== 'kie');
+    document.getElementById('falPollingSection')?.classList.toggle('hidden', provider.id !== 'fal');
+    document.getElementById('mockSection')?.classList.toggle('hidden', provider.id !== 'mock');
+
+    document.getElementById('testKeyBtn')?.classList.toggle('hidden', !supportsConnectionTest(provider));
+    document.getElementById('keyTestResult')?.classList.add('hidden');
+}
+
+
 
 // =============================================================================
 // State
@@ -75,12 +830,15 @@ function deleteCustomProvider(id) {
 
 const state = {
     isGenerating: false,
+    abortController: null, // Aborted by Stop to cancel in-flight requests
     pairs: [], // Store generated pairs/images in memory
     pairCounter: 0,
     mode: 'pair', // 'pair', 'single', or 'reference'
     referenceImageUrl: null, // URL of uploaded reference image
     referenceImageBase64: null, // Base64 of uploaded reference image
-    imageModel: 'fal-ai/nano-banana-pro' // Selected image generation model
+    imageModel: 'fal-ai/nano-banana-pro', // Selected image generation model
+    imagesPerPrompt: 1, // Outputs requested per prompt, read when a run starts
+    extraImagesMode: 'items' // 'items' (one dataset item each) or 'alternates' (pick on the card)
 };
 
 try {
@@ -156,190 +914,102 @@ const MODEL_CONFIG = {
         editEndpoint: 'fal-ai/bytedance/seedream/v4.5/edit',
         description: 'ByteDance unified model with i2i and edit support'
     },
-    'fal-ai/flux/dev': {
-        supportsEdit: false,
-        description: 'Open-source Flux model for development'
-    },
-    'fal-ai/flux/schnell': {
-        supportsEdit: false,
-        description: 'Ultra-fast Flux model'
-    },
-    'fal-ai/aura-flow': {
-        supportsEdit: false,
-        description: 'Open-source flow-based generation'
-    },
-    'fal-ai/recraft/v3/text-to-image': {
-        supportsEdit: false,
-        description: 'Vector art and brand styling'
-    }
-};
-
-// =============================================================================
-// Security & Encryption Utilities
-// =============================================================================
-
-const ENCRYPTION_CONFIG = {
-    algorithm: 'AES-GCM',
-    keyLength: 256,
-    ivLength: 12,
-    saltLength: 16,
-    iterations: 100000
-};
-
-// Derive encryption key from password using PBKDF2
-async function deriveKey(password, salt) {
-    const enc = new TextEncoder();
-    const keyMaterial = await crypto.subtle.importKey(
-        'raw',
-        enc.encode(password),
-        'PBKDF2',
-        false,
-        ['deriveBits', 'deriveKey']
-    );
-
-    return crypto.subtle.deriveKey(
-        {
-            name: 'PBKDF2',
-            salt: salt,
-            iterations: ENCRYPTION_CONFIG.iterations,
-            hash: 'SHA-256'
-        },
-        keyMaterial,
-        { name: ENCRYPTION_CONFIG.algorithm, length: ENCRYPTION_CONFIG.keyLength },
-        false,
-        ['encrypt', 'decrypt']
-    );
-}
-
-// Encrypt data with password
-async function encryptData(data, password) {
-    const enc = new TextEncoder();
-    const salt = crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.saltLength));
-    const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.ivLength));
-    const key = await deriveKey(password, salt);
-
-    const encrypted = await crypto.subtle.encrypt(
-        { name: ENCRYPTION_CONFIG.algorithm, iv: iv },
-        key,
-        enc.encode(data)
-    );
-
-    // Combine salt + iv + encrypted data
-    const combined = new Uint8Array(salt.length + iv.length + encrypted.byteLength);
-    combined.set(salt, 0);
-    combined.set(iv, salt.length);
-    combined.set(new Uint8Array(encrypted), salt.length + iv.length);
-
-    return btoa(String.fromCharCode(...combined));
-}
-
-// Decrypt data with password
-async function decryptData(encryptedBase64, password) {
-    try {
-        const combined = Uint8Array.from(atob(encryptedBase64), c => c.charCodeAt(0));
-
-        const salt = combined.slice(0, ENCRYPTION_CONFIG.saltLength);
-        const iv = combined.slice(ENCRYPTION_CONFIG.saltLength, ENCRYPTION_CONFIG.saltLength + ENCRYPTION_CONFIG.ivLength);
-        const encrypted = combined.slice(ENCRYPTION_CONFIG.saltLength + ENCRYPTION_CONFIG.ivLength);
-
-        const key = await deriveKey(password, salt);
-
-        const decrypted = await crypto.subtle.decrypt(
-            { name: ENCRYPTION_CONFIG.algorithm, iv: iv },
-            key,
-            encrypted
-        );
-
-        return new TextDecoder().decode(decrypted);
-    } catch (e) {
-        throw new Error('Decryption failed - incorrect password or corrupted data');
+    'fal-ai/flux/dev': {
+        supportsEdit: false,
+        description: 'Open-source Flux model for development'
+    },
+    'fal-ai/flux/schnell': {
+        supportsEdit: false,
+        description: 'Ultra-fast Flux model'
+    },
+    'fal-ai/aura-flow': {
+        supportsEdit: false,
+        description: 'Open-source flow-based generation'
+    },
+    'fal-ai/recraft/v3/text-to-image': {
+        supportsEdit: false,
+        description: 'Vector art and brand styling'
     }
-}
+};
 
 // =============================================================================
 // API Key Management
 // =============================================================================
 
-// Security settings stored in localStorage
-function getSecuritySettings() {
-    const defaults = {
-        useEncryption: false,
-        useSessionStorage: false,
-        autoClockMinutes: 0 // 0 = disabled
-    };
-    const stored = localStorage.getItem('security_settings');
-    return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
-}
-
-function setSecuritySettings(settings) {
-    localStorage.setItem('security_settings', JSON.stringify(settings));
-}
-
-// Get the appropriate storage
-function getStorage() {
-    const settings = getSecuritySettings();
-    return settings.useSessionStorage ? sessionStorage : localStorage;
+function hasStoredApiKeys() {
+    const storage = getStorage();
+    return providerManager.getAll().some(p => storage.getItem(apiKeyStorageName(p.id)) !== null);
 }
 
-// Get stored API key (decrypt if needed)
-async function getApiKey() {
-    const settings = getSecuritySettings();
+// One password encrypts every provider's key; refuse a different one while others exist
+async function assertSharedPassword(password, providerId) {
     const storage = getStorage();
-    const stored = storage.getItem('fal_api_key');
-
-    if (!stored) return '';
-
-    if (settings.useEncryption) {
-        // Key is encrypted, need password
-        const password = sessionStorage.getItem('encryption_password');
-        if (!password) {
-            return ''; // Password not in session, need to re-enter
-        }
-        try {
-            return await decryptData(stored, password);
-        } catch (e) {
-            console.error('Decryption failed:', e);
-            return '';
-        }
+    const other = providerManager.getAll()
+        .map(p => p.id !== providerId && storage.getItem(apiKeyStorageName(p.id)))
+        .find(Boolean);
+    if (!other) return;
+    try {
+        await decryptData(other, password);
+    } catch (e) {
+        throw new Error('Use the same encryption password as your other saved keys');
     }
-
-    return stored;
 }
 
-// Set API key (encrypt if needed)
-async function setApiKey(key, password = null) {
+// Set a provider's API key (encrypt if needed); defaults to the active provider.
+// Without `password`, an encrypted key reuses the password unlocked this session.
+async function setApiKey(key, password = null, providerId = providerManager.activeProviderId) {
     const settings = getSecuritySettings();
     const storage = getStorage();
+    const provider = providerManager.get(providerId);
 
     if (!key) {
-        storage.removeItem('fal_api_key');
-        sessionStorage.removeItem('encryption_password');
+        storage.removeItem(apiKeyStorageName(providerId));
+        // The password unlocks every key; forget it with the last one
+        if (!hasStoredApiKeys()) {
+            sessionStorage.removeItem('encryption_password');
+        }
         // Clear in provider
         try {
-            providerManager.getActive().setApiKey(null);
+            provider?.setApiKey(null);
         } catch (e) { }
         return;
     }
 
     if (settings.useEncryption) {
-        if (!password) {
-            throw new Error('Password required for encryption');
+        const secret = password || sessionStorage.getItem('encryption_password');
+        if (!secret) {
+            throw new Error('Unlock encryption by saving a key in the 🔑 dialog first');
         }
-        const encrypted = await encryptData(key, password);
-        storage.setItem('fal_api_key', encrypted);
+        await assertSharedPassword(secret, providerId);
+        const encrypted = await encryptData(key, secret);
+        storage.setItem(apiKeyStorageName(providerId), encrypted);
         // Store password in session for this session
-        sessionStorage.setItem('encryption_password', password);
+        sessionStorage.setItem('encryption_password', secret);
     } else {
-        storage.setItem('fal_api_key', key);
+        storage.setItem(apiKeyStorageName(providerId), key);
     }
 
-    // Configure Active Provider with the key
-    await providerManager.getActive().setApiKey(key);
+    // Configure the provider with its key
+    await provider?.setApiKey(key);
 
     // Setup auto-clear if enabled
     setupAutoClear();
 }
 
+// Give every registered provider its own stored key, so the image, LLM, vision and
+// failover slots can each use a different provider in one run
+async function configureProviderKeys() {
+    for (const provider of providerManager.getAll()) {
+        const key = await getApiKey(provider.id);
+        if (!key) continue;
+        try {
+            await provider.setApiKey(key);
+        } catch (e) {
+            console.error(`Failed to configure ${provider.name} with its API key:`, e);
+        }
+    }
+}
+
 // Auto-clear functionality
 let autoClearTimer = null;
 
@@ -371,12 +1041,42 @@ function resetAutoClearTimer() {
     }
 }
 
-// Clear API key from memory
+// Clear every provider's API key from storage and from the providers
 function clearApiKeyFromMemory() {
-    getStorage().removeItem('fal_api_key');
+    providerManager.getAll().forEach(provider => {
+        getStorage().removeItem(apiKeyStorageName(provider.id));
+        try {
+            provider.setApiKey(null);
+        } catch (e) { }
+    });
     sessionStorage.removeItem('encryption_password');
 }
 
+// Make a provider the image role (active provider); returns its API key
+async function switchImageProvider(id) {
+    providerManager.setActive(id);
+    try {
+        localStorage.setItem('active_provider_id', id);
+    } catch (e) {}
+
+    // Repopulate model dropdowns for new provider
+    populateImageModels();
+    populateLLMModels();
+
+    // Each provider keeps its own key; hand it the stored one in case it was set elsewhere
+    const key = await getApiKey();
+    try {
+        await providerManager.getActive().setApiKey(key);
+    } catch (e) {
+        console.error('Failed to configure provider with API key:', e);
+    }
+    // LLM/vision slots that follow the image provider changed too
+    populateRoleSelectors();
+    populateFailoverPickers();
+    await refreshProviderModels();
+    return key;
+}
+
 // Populate the provider dropdown
 function populateProviderDropdown() {
     const select = document.getElementById('providerSelect');
@@ -410,27 +1110,14 @@ function populateProviderDropdown() {
     // Handle change immediately to update UI/Keys
     select.onchange = async () => {
         try {
-            providerManager.setActive(select.value);
-            try {
-                localStorage.setItem('active_provider_id', select.value);
-            } catch (e) {}
-
-            // Repopulate model dropdowns for new provider
-            populateImageModels();
-            populateLLMModels();
-
-            // Reload key for this provider
-            const key = await getApiKey();
-            try {
-                await providerManager.getActive().setApiKey(key);
-            } catch (e) {
-                console.error('Failed to configure provider with API key:', e);
-            }
+            const key = await switchImageProvider(select.value);
             document.getElementById('apiKeyInput').value = key || '';
+            updateProviderSettings(providerManager.getActive());
 
             // Update UI description if possible
             const label = document.getElementById('apiKeyLabel');
-            label.textContent = `${select.options[select.selectedIndex].text} API Key`;
+            const optional = providerManager.getActive().requiresApiKey ? '' : ' (optional)';
+            label.textContent = `${select.options[select.selectedIndex].text} API Key${optional}`;
         } catch (e) {
             console.error(e);
         }
@@ -451,7 +1138,8 @@ async function loadApiKeyIntoModal() {
 
     // Update Label based on active provider
     const active = providerManager.getActive();
-    label.textContent = `${active.name} API Key`;
+    label.textContent = `${active.name} API Key${active.requiresApiKey ? '' : ' (optional)'}`;
+    updateProviderSettings(active);
 
     // Show/hide password field based on encryption setting
     if (settings.useEncryption) {
@@ -483,10 +1171,87 @@ function toggleKeyVisibility() {
     }
 }
 
+// =============================================================================
+// Key Test (connection + account status)
+// =============================================================================
+
+function supportsConnectionTest(provider) {
+    return provider.testConnection !== ApiProvider.prototype.testConnection;
+}
+
+function formatAccount(account) {
+    return account?.credits !== undefined && account?.credits !== null
+        ? `${account.credits} ${account.unit || 'credits'} left`
+        : '';
+}
+
+// Test the key in the modal (saved or not) against the active provider
+async function testApiKey() {
+    const provider = providerManager.getActive();
+    const resultBox = document.getElementById('keyTestResult');
+    const button = document.getElementById('testKeyBtn');
+    const apiKey = document.getElementById('apiKeyInput').value.trim() || await getApiKey();
+
+    resultBox.classList.remove('hidden');
+    if (!apiKey && provider.requiresApiKey) {
+        resultBox.textContent = 'Enter a key to test.';
+        return;
+    }
+
+    resultBox.textContent = `Testing ${provider.name} key...`;
+    button.disabled = true;
+    try {
+        const { ok, message, capabilities, account } = await provider.testConnection({ apiKey });
+        const icon = { true: '✅', false: '❌', null: '❔' };
+        const capabilityHtml = Object.entries(capabilities)
+            .map(([capability, usable]) => `${escapeHtml(capability)} ${icon[usable]}`)
+            .join(' · ');
+        const accountText = formatAccount(account);
+        resultBox.innerHTML = `
+            <div>${ok ? '✅' : '❌'} ${escapeHtml(message)}${accountText ? ` — ${escapeHtml(accountText)}` : ''}</div>
+            <div class="capabilities">${capabilityHtml} <small>(❔ not checked)</small></div>`;
+    } catch (error) {
+        resultBox.textContent = `⚠️ Could not test the key: ${error.message}`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Check the stored key in the background at startup, so a bad key shows before a run fails
+async function verifyStoredKey(provider, encryptedLabel) {
+    if (!supportsConnectionTest(provider)) return;
+    try {
+        const { ok, message, account } = await provider.testConnection();
+        if (providerManager.getActive() !== provider) return;
+        if (!ok) {
+            updateStatus(false, `${provider.name}: ${message} - click 🔑`);
+            return;
+        }
+        const accountText = formatAccount(account);
+        updateStatus(true, `API Key Set${encryptedLabel}${accountText ? ` · ${accountText}` : ''}`);
+    } catch (error) {
+        console.warn(`[verifyStoredKey] Could not test ${provider.name} key:`, error.message);
+    }
+}
+
 async function saveApiKey() {
     const key = document.getElementById('apiKeyInput').value.trim();
+    const active = providerManager.getActive();
     if (!key) {
-        alert('Please enter an API key');
+        if (active.requiresApiKey) {
+            alert('Please enter an API key');
+            return;
+        }
+
+        // Local providers only need their endpoint; keep any stored key intact
+        if (active.defaultBaseUrl) {
+            const baseUrl = document.getElementById('baseUrlInput').value.trim();
+            saveProviderBaseUrl(active.id, baseUrl);
+            active.setBaseUrl(baseUrl);
+        }
+        hideApiKeyModal();
+        updateStatus(true, `${active.name} ready (no key needed)`);
+        refreshProviderModels();
         return;
     }
 
@@ -502,10 +1267,24 @@ async function saveApiKey() {
     }
 
     try {
+        // Persist endpoint override before the provider is configured
+        if (active.defaultBaseUrl) {
+            const baseUrl = document.getElementById('baseUrlInput').value.trim();
+            saveProviderBaseUrl(active.id, baseUrl);
+            active.setBaseUrl(baseUrl);
+        }
+
         await setApiKey(key, password);
-        // Update schema manager with API key
-        schemaManager.setApiKey(key);
+        // Schemas and pricing come from FAL
+        if (active.id === 'fal') {
+            schemaManager.setApiKey(key);
+        }
+        // A new session password can unlock the other providers' encrypted keys
+        if (settings.useEncryption) {
+            await configureProviderKeys();
+        }
         hideApiKeyModal();
+        refreshProviderModels();
         const storageType = settings.useSessionStorage ? 'session' : 'persistent';
         const encrypted = settings.useEncryption ? ' (encrypted)' : '';
         updateStatus(true, `API Key Saved ${encrypted}`);
@@ -529,7 +1308,8 @@ async function saveApiKey() {
 }
 
 async function clearApiKey() {
-    if (confirm('⚠️ Clear your API key?\n\nThis will remove it from storage immediately.')) {
+    const active = providerManager.getActive();
+    if (confirm(`⚠️ Clear your ${active.name} API key?\n\nThis will remove it from storage immediately. Keys for other providers are kept.`)) {
         await setApiKey('');
         document.getElementById('apiKeyInput').value = '';
         document.getElementById('encryptionPassword').value = '';
@@ -565,12 +1345,11 @@ async function saveSecuritySettings() {
     if (settings.useEncryption !== oldSettings.useEncryption ||
         settings.useSessionStorage !== oldSettings.useSessionStorage) {
 
-        const hasKey = await getApiKey();
-        if (hasKey) {
-            if (!confirm('⚠️ Changing security settings requires re-entering your API key.\n\nYour current key will be cleared. Continue?')) {
+        if (hasStoredApiKeys()) {
+            if (!confirm('⚠️ Changing security settings requires re-entering your API keys.\n\nAll saved keys will be cleared. Continue?')) {
                 return;
             }
-            await setApiKey(''); // Clear old key
+            clearApiKeyFromMemory(); // Clear old keys
         }
     }
 
@@ -600,6 +1379,10 @@ function dismissSecurityBanner() {
 // =============================================================================
 
 function setMode(mode) {
+    // A mode the image model can't run falls back to Single Image
+    if (EDIT_MODES.includes(mode) && getEditBlocker()) {
+        mode = 'single';
+    }
     state.mode = mode;
 
     // Update UI buttons
@@ -643,6 +1426,86 @@ function setMode(mode) {
     updateSavedPromptsList(); // Refresh saved prompts list when mode changes
 }
 
+// =============================================================================
+// Capability Gating
+// =============================================================================
+
+// Modes that edit an image (the START image or the reference)
+const EDIT_MODES = ['pair', 'reference'];
+
+// Why the image model can't edit and what to switch to, or null when it can. Defaults to
+// the active provider and model. Models missing from the provider's list aren't blocked;
+// the provider decides. Both the mode gating and the generators check edits with this.
+function getEditBlocker(provider = providerManager.getActive(), model = state.imageModel) {
+    const editProviders = providerManager.getAll()
+        .filter(p => p !== provider && p.capabilities.includes('image-to-image'))
+        .map(p => p.name);
+    const switchProvider = editProviders.length > 0 ? `Switch the image provider to ${listNames(editProviders)}.` : '';
+
+    if (!provider.capabilities.includes('image-to-image')) {
+        return { reason: `${provider.name} can't edit images.`, suggestion: switchProvider };
+    }
+    const models = provider.getSupportedModels().imageModels;
+    const selected = models.find(m => m.id === model);
+    if (!selected || selected.supportsEdit) return null;
+
+    const editModels = models.filter(m => m.supportsEdit).map(m => m.name);
+    return {
+        reason: `${selected.name} doesn't support image editing.`,
+        suggestion: editModels.length > 0 ? `Pick an edit model such as ${listNames(editModels)}.` : switchProvider
+    };
+}
+
+// Same for vision captions, which come from the vision role's provider
+function getVisionBlocker() {
+    const provider = providerManager.getRole('vision');
+    if (providerManager.supportsRole(provider, 'vision')) return null;
+
+    const visionProviders = providerManager.getAll()
+        .filter(p => providerManager.supportsRole(p, 'vision'))
+        .map(p => p.name);
+    return {
+        reason: `${provider.name} can't caption images.`,
+        suggestion: visionProviders.length > 0 ? `Pick ${listNames(visionProviders)} as the vision provider.` : ''
+    };
+}
+
+function setCapabilityHint(id, text) {
+    const hint = document.getElementById(id);
+    if (!hint) return;
+    hint.textContent = text;
+    hint.classList.toggle('hidden', !text);
+}
+
+// Disable the modes and options the current provider/model can't do, saying why.
+// Runs whenever the image model, the image provider or the vision provider changes.
+function updateCapabilityGating() {
+    const editBlocker = getEditBlocker();
+    const editReason = editBlocker ? `${editBlocker.reason} ${editBlocker.suggestion}`.trim() : '';
+    document.querySelectorAll('.mode-btn').forEach(btn => {
+        const blocked = !!editBlocker && EDIT_MODES.includes(btn.dataset.mode);
+        btn.disabled = blocked;
+        btn.title = blocked ? editReason : '';
+    });
+    setCapabilityHint('modeCapabilityHint', editBlocker ? `Pair and Reference modes need image editing. ${editReason}` : '');
+    if (editBlocker && EDIT_MODES.includes(state.mode)) {
+        setMode('single');
+    }
+
+    // Remember the user's choice while captions are unavailable, and restore it after
+    const visionCheckbox = document.getElementById('useVisionCaption');
+    const visionBlocker = getVisionBlocker();
+    if (visionBlocker && !visionCheckbox.disabled) {
+        visionCheckbox.dataset.wasChecked = visionCheckbox.checked;
+        visionCheckbox.checked = false;
+    } else if (!visionBlocker && visionCheckbox.disabled) {
+        visionCheckbox.checked = visionCheckbox.dataset.wasChecked === 'true';
+    }
+    visionCheckbox.disabled = !!visionBlocker;
+    setCapabilityHint('visionCapabilityHint', visionBlocker ? `${visionBlocker.reason} ${visionBlocker.suggestion}`.trim() : '');
+    updateCostEstimate();
+}
+
 function updateSystemPromptPlaceholder() {
     const textarea = document.getElementById('customSystemPrompt');
     textarea.placeholder = DEFAULT_SYSTEM_PROMPTS[state.mode];
@@ -984,118 +1847,127 @@ function sleep(ms) {
 // Image Generation
 // =============================================================================
 
-async function generateStartImage(prompt, aspectRatio, resolution) {
-    // Get dynamic parameters from UI
-    const dynamicParams = uiGenerator.getValues();
-    
-    // Map parameters for the current provider
-    const mappedParams = parameterMapper.mapParameters(
-        state.imageModel,
-        providerManager.activeProviderId,
-        dynamicParams,
-        { prompt: prompt }
-    );
+// Log when an image moves to the next provider in the failover chain
+function logFailover(error, from, to) {
+    const name = id => providerManager.get(id)?.name || id;
+    addProgressLog(`   ↪️ ${name(from.providerId)} failed (${truncate(error.message, 60)}), trying ${name(to.providerId)} / ${to.model}...`, 'info');
+}
 
-    return await providerManager.getActive().generateImage({
-        prompt: prompt,
-        aspectRatio: aspectRatio,
-        resolution: resolution,
-        model: state.imageModel,
-        dynamicParams: mappedParams
-    });
+// Resolve the edit endpoint for a model on a given provider
+function getEditEndpoint(provider, model) {
+    const modelInfo = provider.getSupportedModels().imageModels.find(m => m.id === model);
+    return modelInfo?.editEndpoint || `${model}/edit`;
 }
 
-async function generateEndImage(startImageUrl, editPrompt, aspectRatio, resolution) {
-    // Check if model supports edit (use provider models)
-    const provider = providerManager.getActive();
-    const providerModels = provider.getSupportedModels().imageModels;
-    const selectedModel = providerModels.find(m => m.id === state.imageModel);
-    if (!selectedModel || !selectedModel.supportsEdit) {
-        throw new Error(`Model ${state.imageModel} doesn't support image editing. Please select a model with edit support for Pair mode.`);
+// Validate that the primary image model can edit (failover entries are filtered by the manager)
+function assertPrimaryEditSupport(modeLabel, provider = providerManager.getActive(), model = state.imageModel) {
+    const blocker = getEditBlocker(provider, model);
+    if (blocker) {
+        throw new Error(`${blocker.reason} ${modeLabel} mode needs edit support. ${blocker.suggestion}`.trim());
     }
+}
 
-    // Use custom edit endpoint if specified, otherwise append /edit
-    const editEndpoint = selectedModel.editEndpoint || `${state.imageModel}/edit`;
-
-    // Get dynamic parameters from UI
-    const dynamicParams = uiGenerator.getValues();
-    
-    // Map parameters for the current provider
-    const mappedParams = parameterMapper.mapParameters(
-        state.imageModel,
-        providerManager.activeProviderId,
-        dynamicParams,
-        { prompt: editPrompt, sourceUrl: startImageUrl }
-    );
-
-    return await providerManager.getActive().editImage({
-        sourceUrl: startImageUrl,
-        prompt: editPrompt,
-        resolution: resolution,
+// The image provider, model, failover chain and sidebar parameter values a run starts with.
+// Saved in each item's context, so a resumed pair makes its END image with the same ones.
+function imageRunSettings() {
+    return {
+        providerId: providerManager.activeProviderId,
         model: state.imageModel,
-        editEndpoint: editEndpoint,
-        dynamicParams: mappedParams
-    });
+        failoverChain: providerManager.failoverChain.map(entry => ({ ...entry })),
+        paramValues: uiGenerator.getValues()
+    };
 }
 
-async function generateSingleImage(prompt, aspectRatio, resolution) {
-    // Get dynamic parameters from UI
-    const dynamicParams = uiGenerator.getValues();
-    
-    // Map parameters for the current provider
-    const mappedParams = parameterMapper.mapParameters(
-        state.imageModel,
-        providerManager.activeProviderId,
-        dynamicParams,
-        { prompt: prompt }
-    );
+// num_images is only sent when asking for more than one, so single-output backends see no change
+function withImageCount(dynamicParams, numImages) {
+    return numImages > 1 ? { ...dynamicParams, num_images: numImages } : dynamicParams;
+}
 
-    return await providerManager.getActive().generateImage({
+// Image generators resolve { result: imageUrls, providerId, model } so callers can record the source.
+// onProgress receives queued/running/completed updates from providers that report them;
+// onSubmit receives { providerId, endpoint, jobId, model } for jobs that can be resumed.
+async function generateStartImage(prompt, aspectRatio, resolution, { numImages = 1, onProgress, onSubmit } = {}) {
+    return await providerManager.runWithFailover(state.imageModel, (provider, model) => provider.generateImage({
         prompt: prompt,
         aspectRatio: aspectRatio,
         resolution: resolution,
-        model: state.imageModel,
-        dynamicParams: mappedParams
-    });
+        model: model,
+        // Map parameters for the provider actually used
+        dynamicParams: withImageCount(
+            parameterMapper.mapParameters(model, provider.id, uiGenerator.getValues(), { prompt: prompt }),
+            numImages
+        ),
+        signal: state.abortController?.signal,
+        onProgress,
+        onSubmit: onSubmit && (job => onSubmit({ ...job, model }))
+    }), { onFailover: logFailover });
 }
 
-async function generateReferenceVariation(referenceUrl, prompt, aspectRatio, resolution) {
-    // Check if model supports edit (use provider models)
-    const provider = providerManager.getActive();
-    const providerModels = provider.getSupportedModels().imageModels;
-    const selectedModel = providerModels.find(m => m.id === state.imageModel);
-    if (!selectedModel || !selectedModel.supportsEdit) {
-        throw new Error(`Model ${state.imageModel} doesn't support image editing. Please select a model with edit support for Reference mode.`);
+// `settings` (from imageRunSettings) and `signal` default to the current ones
+async function generateEndImage(startImageUrl, editPrompt, aspectRatio, resolution, {
+    numImages = 1, onProgress, onSubmit, settings = imageRunSettings(), signal = state.abortController?.signal
+} = {}) {
+    const primary = providerManager.get(settings.providerId);
+    if (!primary) {
+        throw new Error(`Provider ${settings.providerId} is no longer available`);
     }
+    assertPrimaryEditSupport('Pair', primary, settings.model);
 
-    // Use custom edit endpoint if specified
-    const editEndpoint = selectedModel.editEndpoint;
+    return await providerManager.runWithFailover(settings.model, (provider, model) => provider.editImage({
+        sourceUrl: startImageUrl,
+        prompt: editPrompt,
+        resolution: resolution,
+        model: model,
+        // Use custom edit endpoint if specified, otherwise append /edit
+        editEndpoint: getEditEndpoint(provider, model),
+        dynamicParams: withImageCount(parameterMapper.mapParameters(
+            model,
+            provider.id,
+            settings.paramValues,
+            { prompt: editPrompt, sourceUrl: startImageUrl }
+        ), numImages),
+        signal,
+        onProgress,
+        onSubmit: onSubmit && (job => onSubmit({ ...job, model }))
+    }), {
+        requireEdit: true,
+        onFailover: logFailover,
+        providerId: settings.providerId,
+        failoverChain: settings.failoverChain
+    });
+}
 
-    // Get dynamic parameters from UI
-    const dynamicParams = uiGenerator.getValues();
-    
-    // Map parameters for the current provider
-    const mappedParams = parameterMapper.mapParameters(
-        state.imageModel,
-        providerManager.activeProviderId,
-        dynamicParams,
-        { prompt: prompt, sourceUrl: referenceUrl }
-    );
+async function generateSingleImage(prompt, aspectRatio, resolution, options = {}) {
+    return await generateStartImage(prompt, aspectRatio, resolution, options);
+}
+
+async function generateReferenceVariation(referenceUrl, prompt, aspectRatio, resolution, { numImages = 1, onProgress, onSubmit } = {}) {
+    assertPrimaryEditSupport('Reference');
 
-    return await providerManager.getActive().editImage({
+    return await providerManager.runWithFailover(state.imageModel, (provider, model) => provider.editImage({
         sourceUrl: referenceUrl,
         prompt: prompt,
         resolution: resolution,
-        model: state.imageModel,
-        editEndpoint: editEndpoint,
-        dynamicParams: mappedParams
-    });
+        model: model,
+        // Use custom edit endpoint if specified
+        editEndpoint: provider.getSupportedModels().imageModels.find(m => m.id === model)?.editEndpoint,
+        dynamicParams: withImageCount(parameterMapper.mapParameters(
+            model,
+            provider.id,
+            uiGenerator.getValues(),
+            { prompt: prompt, sourceUrl: referenceUrl }
+        ), numImages),
+        signal: state.abortController?.signal,
+        onProgress,
+        onSubmit: onSubmit && (job => onSubmit({ ...job, model }))
+    }), { requireEdit: true, onFailover: logFailover });
 }
 
 async function captionImage(imageUrl, model) {
-    return await providerManager.getActive().captionImage({
+    return await providerManager.getRole('vision').captionImage({
         imageUrl: imageUrl,
-        model: model
+        model: model,
+        signal: state.abortController?.signal
     });
 }
 
@@ -1128,8 +2000,9 @@ Return ONLY valid JSON array:
     "action_name": "short_action"
   }
 ]`;
-        prompts = await providerManager.getActive().generatePrompts({
-            systemPrompt, userPrompt, count: numPrompts, model: model
+        prompts = await providerManager.getRole('llm').generatePrompts({
+            systemPrompt, userPrompt, count: numPrompts, model: model,
+            signal: state.abortController?.signal
         });
 
     } else if (state.mode === 'single') {
@@ -1141,11 +2014,12 @@ Return ONLY valid JSON array:
     "prompt": "detailed image description capturing the style, aesthetic, composition, lighting, colors..."
   }
 ]`;
-        prompts = await providerManager.getActive().generatePrompts({
+        prompts = await providerManager.getRole('llm').generatePrompts({
             systemPrompt: customSystemPrompt,
             userPrompt,
             count: numPrompts,
-            model: model
+            model: model,
+            signal: state.abortController?.signal
         });
 
     } else if (state.mode === 'reference') {
@@ -1160,11 +2034,12 @@ Return ONLY valid JSON array:
     "prompt": "detailed description of the variation, keeping subject consistent but varying context..."
   }
 ]`;
-        prompts = await providerManager.getActive().generatePrompts({
+        prompts = await providerManager.getRole('llm').generatePrompts({
             systemPrompt: customSystemPrompt,
             userPrompt,
             count: numPrompts,
-            model: model
+            model: model,
+            signal: state.abortController?.signal
         });
     }
 
@@ -1184,6 +2059,16 @@ function updatePairCount() {
     document.getElementById('pairCount').textContent = state.pairs.length;
 }
 
+function getImagesPerPrompt() {
+    const value = parseInt(document.getElementById('imagesPerPrompt').value) || 1;
+    return Math.min(4, Math.max(1, value));
+}
+
+// Billed images per prompt; in pair mode only the END image is multiplied
+function getImagesPerItem(imagesPerPrompt) {
+    return state.mode === 'pair' ? 1 + imagesPerPrompt : imagesPerPrompt;
+}
+
 function getImageCost() {
     const resolution = document.getElementById('resolution').value;
     return resolution === '4K' ? 0.30 : 0.15;
@@ -1203,11 +2088,12 @@ function updateCostEstimate() {
     );
     const costMultiplier = parameterMapper.getCostMultiplier(mappedParams);
 
-    const imagesPerItem = state.mode === 'pair' ? 2 : 1;
+    const imagesPerPrompt = getImagesPerPrompt();
+    const imagesPerItem = getImagesPerItem(imagesPerPrompt);
     const baseCost = 0.15; // Base cost per image
     const imageCost = baseCost * costMultiplier;
     const totalImageCost = numPairs * imagesPerItem * imageCost;
-    const visionCost = useVision ? numPairs * (state.mode === 'pair' ? 2 : 1) * 0.002 : 0;
+    const visionCost = useVision ? numPairs * (state.mode === 'pair' ? 2 : 1) * imagesPerPrompt * 0.002 : 0;
     const llmCost = 0.02;
     const total = totalImageCost + visionCost + llmCost;
 
@@ -1249,7 +2135,10 @@ function clearProgressLog() {
 
 function formatMetadataString(metadata) {
     if (!metadata) return '';
-    return `\n\n--- [Generation Metadata] ---\nModel: ${metadata.model}\nResolution: ${metadata.resolution}\nAspect Ratio: ${metadata.aspectRatio}`;
+    const sources = Object.entries(metadata.sources || {})
+        .map(([image, source]) => `\nProvider (${image}): ${source.providerId} / ${source.model}`)
+        .join('');
+    return `\n\n--- [Generation Metadata] ---\nModel: ${metadata.model}\nResolution: ${metadata.resolution}\nAspect Ratio: ${metadata.aspectRatio}${sources}`;
     // Scheduler/Steps currently default, omitted for brevity until they are variable
 }
 
@@ -1260,8 +2149,9 @@ function addResultCard(item) {
 
     // Prepare metadata string
     const metaStr = formatMetadataString(item.metadata);
+    const alternatesHtml = renderAlternates(item);
 
-    if (state.mode === 'pair') {
+    if (item.mode === 'pair') {
         // Pair mode - show START and END images
         card.innerHTML = `
             <div class="result-header">
@@ -1277,9 +2167,10 @@ function addResultCard(item) {
                 </div>
                 <div class="result-image">
                     <span class="label">END</span>
-                    <img src="${item.endUrl}" alt="End" loading="lazy" onclick="openImagePreview(this.src)" style="cursor: zoom-in">
+                    <img src="${item.endUrl}" alt="End" loading="lazy" onclick="openImagePreview(this.src)" style="cursor: zoom-in" id="image-${item.id}">
                 </div>
             </div>
+            ${alternatesHtml}
             <div class="result-prompts collapsed" id="prompts-${item.id}">
                 <div class="prompt-section" id="section-${item.id}-start">
                     <div class="prompt-header" onclick="toggleSection('section-${item.id}-start')">
@@ -1323,9 +2214,10 @@ function addResultCard(item) {
             </div>
             <div class="result-images single">
                 <div class="result-image">
-                    <img src="${item.imageUrl}" alt="Result" loading="lazy" onclick="openImagePreview(this.src)" style="cursor: zoom-in">
+                    <img src="${item.imageUrl}" alt="Result" loading="lazy" onclick="openImagePreview(this.src)" style="cursor: zoom-in" id="image-${item.id}">
                 </div>
             </div>
+            ${alternatesHtml}
             <div class="result-prompts collapsed" id="prompts-${item.id}">
                 <div class="prompt-section" id="section-${item.id}-prompt">
                     <div class="prompt-header" onclick="toggleSection('section-${item.id}-prompt')">
@@ -1354,6 +2246,33 @@ function addResultCard(item) {
     container.insertBefore(card, container.firstChild);
 }
 
+// Thumbnails of the other outputs for the same prompt (END image in pair mode)
+function renderAlternates(item) {
+    if (!item.alternates) return '';
+    const thumbs = item.alternates.map((alternate, i) => `
+        <img src="${alternate.url}" alt="Alternate ${i + 1}" loading="lazy" title="Use this image"
+            class="${i === item.selectedAlternate ? 'selected' : ''}" onclick="selectAlternate('${item.id}', ${i})">`).join('');
+    return `<div class="result-alternates" id="alternates-${item.id}">${thumbs}</div>`;
+}
+
+// Swap the chosen alternate into the item, so it is what downloadZIP exports
+function selectAlternate(itemId, index) {
+    const item = state.pairs.find(p => p.id === itemId);
+    const alternate = item?.alternates?.[index];
+    if (!alternate) return;
+
+    item[item.mode === 'pair' ? 'endUrl' : 'imageUrl'] = alternate.url;
+    item.text = alternate.text;
+    item.selectedAlternate = index;
+
+    document.getElementById(`image-${itemId}`).src = alternate.url;
+    const caption = document.getElementById(`prompt-${itemId}-caption`);
+    if (caption) caption.textContent = alternate.text;
+    document.querySelectorAll(`#alternates-${itemId} img`).forEach((img, i) => {
+        img.classList.toggle('selected', i === index);
+    });
+}
+
 // Helper function to escape HTML
 function escapeHtml(text) {
     if (!text) return '';
@@ -1450,144 +2369,313 @@ function showCopyFeedback(itemId, promptType) {
     }
 }
 
-function truncate(str, length) {
-    if (!str) return '';
-    return str.length > length ? str.substring(0, length) + '...' : str;
+function truncate(str, length) {
+    if (!str) return '';
+    return str.length > length ? str.substring(0, length) + '...' : str;
+}
+
+// =============================================================================
+// Main Generation Function
+// =============================================================================
+
+// Helper to capture metadata; sources maps each image to the provider/model that produced it
+function getGenMetadata(sources = {}) {
+    return {
+        model: state.imageModel,
+        sources: sources,
+        resolution: document.getElementById('resolution').value,
+        aspectRatio: document.getElementById('aspectRatio').value,
+        scheduler: "Default",
+        steps: "Default"
+    };
+}
+
+// Progress log lines for one item's image; providers only report when the state changes
+function itemProgressLogger(index, label) {
+    let lastState = null;
+    return ({ status, position, progress, logs = [], elapsedMs }) => {
+        const details = [
+            position !== undefined ? `position ${position}` : '',
+            progress !== undefined ? `${progress}%` : '',
+            `${Math.round(elapsedMs / 1000)}s`
+        ].filter(Boolean);
+
+        // New log lines alone don't repeat the status line
+        const currentState = `${status}/${position}/${progress}`;
+        if (currentState !== lastState) {
+            addProgressLog(`   [${index + 1}] ${label} ${status} (${details.join(', ')})`, 'info');
+            lastState = currentState;
+        }
+        logs.slice(-3).forEach(line => addProgressLog(`   [${index + 1}] ${label} › ${truncate(line, 80)}`, 'info'));
+
+        const lastLog = logs.length > 0 ? `\n${truncate(logs[logs.length - 1], 60)}` : '';
+        setPendingStatus(index, `${label} ${status} · ${details.join(' · ')}${lastLog}`);
+    };
+}
+
+// Placeholder card per prompt while it generates, showing its latest status, so a long
+// provider queue is visible instead of looking like a hang
+function addPendingCard(index, total, label) {
+    const container = document.getElementById('results');
+    const card = document.createElement('div');
+    card.className = 'result-card result-pending';
+    card.id = `pending-${index}`;
+    card.innerHTML = `
+        <div class="result-header">
+            <span class="result-id">⏳ ${index + 1}/${total}</span>
+        </div>
+        <div class="pending-body">
+            <div class="pending-label">${escapeHtml(label)}</div>
+            <div class="pending-status" id="pending-status-${index}">Waiting...</div>
+        </div>
+    `;
+    container.insertBefore(card, container.firstChild);
+}
+
+function setPendingStatus(index, text) {
+    const status = document.getElementById(`pending-status-${index}`);
+    if (status) status.textContent = text;
+}
+
+function removePendingCard(index) {
+    document.getElementById(`pending-${index}`)?.remove();
+}
+
+function clearPendingCards() {
+    document.querySelectorAll('#results .result-pending').forEach(card => card.remove());
+}
+
+// Caption text for one output: vision caption when enabled, else the fallback, plus trigger word
+async function buildCaption(imageUrl, fallbackText, useVision, visionModel, triggerWord) {
+    let finalText = fallbackText;
+    if (useVision) {
+        try {
+            finalText = await captionImage(imageUrl, visionModel);
+        } catch (e) {
+            if (isAbortError(e)) throw e;
+            console.warn('Vision caption failed:', e);
+        }
+    }
+
+    // Add trigger word if specified
+    if (triggerWord) {
+        finalText = `${triggerWord} ${finalText}`;
+    }
+    return finalText;
+}
+
+// Turn the outputs of one prompt into item fields: one entry per image ('items'), or a single
+// entry that keeps every output as { url, text } alternates to pick from on the card
+async function collectOutputs(urls, urlKey, caption, extraImagesMode = state.extraImagesMode) {
+    const outputs = [];
+    for (const url of urls) {
+        outputs.push({ [urlKey]: url, text: await caption(url) });
+    }
+    if (outputs.length > 1 && extraImagesMode === 'alternates') {
+        return [{
+            ...outputs[0],
+            alternates: outputs.map(output => ({ url: output[urlKey], text: output.text })),
+            selectedAlternate: 0
+        }];
+    }
+    return outputs;
+}
+
+// Everything needed to finish an item, saved with each submitted job so a reloaded page
+// can finish it the same way. Must stay structured-clonable for IndexedDB.
+function itemContext(mode, prompt, index, total, aspectRatio, resolution, useVision, visionModel, triggerWord) {
+    return {
+        mode, prompt, index, total, aspectRatio, resolution, useVision, visionModel, triggerWord,
+        imagesPerPrompt: state.imagesPerPrompt,
+        extraImagesMode: state.extraImagesMode,
+        imageSettings: imageRunSettings(),
+        metadata: getGenMetadata()
+    };
+}
+
+// Whether a job that ended with `error` has nothing left to collect: it failed on the
+// provider, or the abort really cancelled it. After a timeout or network error, or an abort
+// the provider can't pass on, it is still running (and billed), so a reload should reattach.
+function isJobSettled(providerId, error) {
+    if (isAbortError(error)) return !!providerManager.get(providerId)?.cancelsJobs;
+    return !isRetryableError(error);
+}
+
+// Persist the jobs `call(onSubmit)` submits, and drop them once they are settled. When the
+// call succeeds the item has its images, so jobs of failed-over attempts are dropped too.
+async function trackJobs(context, call) {
+    const saves = [];
+    const onSubmit = (job) => saves.push(savePendingJob({ ...job, context }).then(key => ({ key, job })));
+    let error = null;
+    try {
+        return await call(onSubmit);
+    } catch (e) {
+        error = e;
+        throw e;
+    } finally {
+        const results = await Promise.allSettled(saves);
+        for (const saved of results) {
+            if (saved.status === 'rejected') {
+                console.warn('Could not save pending job:', saved.reason);
+            } else if (!error || isJobSettled(saved.value.job.providerId, error)) {
+                await removePendingJob(saved.value.key).catch(() => {});
+            }
+        }
+    }
+}
+
+// Item fields for a finished pair, one per END output (or one with alternates)
+async function buildPairItems(context, startUrl, startSource, end) {
+    const { prompt, useVision, visionModel, triggerWord } = context;
+    const outputs = await collectOutputs(end.result, 'endUrl',
+        url => buildCaption(url, prompt.action_name, useVision, visionModel, triggerWord), context.extraImagesMode);
+
+    return outputs.map(output => ({
+        startUrl,
+        startPrompt: prompt.base_prompt,
+        endPrompt: prompt.edit_prompt,
+        actionName: prompt.action_name,
+        ...output,
+        metadata: { // Capture settings
+            ...context.metadata,
+            sources: { start: startSource, end: { providerId: end.providerId, model: end.model } }
+        }
+    }));
 }
 
-// =============================================================================
-// Main Generation Function
-// =============================================================================
+// Item fields for a finished single image or reference variation
+async function buildImageItems(context, image) {
+    const { prompt, useVision, visionModel, triggerWord } = context;
+    const outputs = await collectOutputs(image.result, 'imageUrl',
+        url => buildCaption(url, prompt.prompt, useVision, visionModel, triggerWord), context.extraImagesMode);
+
+    return outputs.map(output => ({
+        prompt: prompt.prompt,
+        ...output,
+        metadata: { ...context.metadata, sources: { image: { providerId: image.providerId, model: image.model } } }
+    }));
+}
 
-// Helper to capture metadata
-function getGenMetadata() {
-    return {
-        model: state.imageModel,
-        resolution: document.getElementById('resolution').value,
-        aspectRatio: document.getElementById('aspectRatio').value,
-        scheduler: "Default",
-        steps: "Default"
-    };
+// Generate the END image(s) of a pair whose START image is done; extra outputs are
+// variations of the same edit. Uses the settings the item started with.
+async function finishPairFromStart(context, start, signal = state.abortController?.signal) {
+    const { prompt, index, aspectRatio, resolution } = context;
+    const startUrl = start.result[0];
+    const startSource = { providerId: start.providerId, model: start.model };
+    addProgressLog(`   [${index + 1}] START done, generating END...`, 'info');
+    setPendingStatus(index, 'START done, generating END...');
+
+    const end = await trackJobs({ ...context, stage: 'end', startUrl, startSource }, onSubmit =>
+        generateEndImage(startUrl, prompt.edit_prompt, aspectRatio, resolution, {
+            numImages: context.imagesPerPrompt,
+            onProgress: itemProgressLogger(index, 'END'),
+            onSubmit,
+            settings: context.imageSettings,
+            signal
+        }));
+    addProgressLog(`   [${index + 1}] END done!`, 'info');
+    setPendingStatus(index, context.useVision ? 'Captioning...' : 'Finishing...');
+
+    return await buildPairItems(context, startUrl, startSource, end);
 }
 
 // Generate a single pair (used for parallel execution) - PAIR MODE
-async function generateSinglePair(prompt, index, total, aspectRatio, resolution, useVision, llmModel, triggerWord) {
+async function generateSinglePair(prompt, index, total, aspectRatio, resolution, useVision, visionModel, triggerWord) {
     addProgressLog(`🎨 [${index + 1}/${total}] Starting: ${truncate(prompt.base_prompt, 35)}...`, 'info');
+    addPendingCard(index, total, truncate(prompt.base_prompt, 80));
+    const context = itemContext('pair', prompt, index, total, aspectRatio, resolution, useVision, visionModel, triggerWord);
 
     try {
         // Generate START image
         addProgressLog(`   [${index + 1}] Generating START image...`, 'info');
-        const startUrl = await generateStartImage(prompt.base_prompt, aspectRatio, resolution);
-        addProgressLog(`   [${index + 1}] START done, generating END...`, 'info');
+        const start = await trackJobs({ ...context, stage: 'start' }, onSubmit =>
+            generateStartImage(prompt.base_prompt, aspectRatio, resolution, {
+                onProgress: itemProgressLogger(index, 'START'),
+                onSubmit
+            }));
 
-        // Generate END image
-        const endUrl = await generateEndImage(startUrl, prompt.edit_prompt, aspectRatio, resolution);
-        addProgressLog(`   [${index + 1}] END done!`, 'info');
-
-        // Optional: Caption with vision
-        let finalText = prompt.action_name;
-        if (useVision) {
-            try {
-                const caption = await captionImage(endUrl, llmModel);
-                finalText = caption;
-            } catch (e) {
-                console.warn('Vision caption failed:', e);
-            }
-        }
-
-        // Add trigger word if specified
-        if (triggerWord) {
-            finalText = `${triggerWord} ${finalText}`;
-        }
-
-        return {
-            startUrl,
-            endUrl,
-            startPrompt: prompt.base_prompt,
-            endPrompt: prompt.edit_prompt,
-            actionName: prompt.action_name,
-            text: finalText,
-            metadata: getGenMetadata() // Capture settings
-        };
+        return await finishPairFromStart(context, start);
     } catch (error) {
+        // Cancellation must reach startGeneration as an AbortError, not a failure
+        if (isAbortError(error)) throw error;
         console.error(`Pair ${index + 1} error:`, error);
         throw new Error(error.message || error.toString() || 'Generation failed');
     }
 }
 
 // Generate a single image - SINGLE MODE
-async function generateSingleItem(prompt, index, total, aspectRatio, resolution, useVision, llmModel, triggerWord) {
+async function generateSingleItem(prompt, index, total, aspectRatio, resolution, useVision, visionModel, triggerWord) {
     addProgressLog(`🎨 [${index + 1}/${total}] Generating: ${truncate(prompt.prompt, 40)}...`, 'info');
+    addPendingCard(index, total, truncate(prompt.prompt, 80));
+    const context = itemContext('single', prompt, index, total, aspectRatio, resolution, useVision, visionModel, triggerWord);
 
     try {
-        const imageUrl = await generateSingleImage(prompt.prompt, aspectRatio, resolution);
+        const image = await trackJobs({ ...context, stage: 'image' }, onSubmit =>
+            generateSingleImage(prompt.prompt, aspectRatio, resolution, {
+                numImages: state.imagesPerPrompt,
+                onProgress: itemProgressLogger(index, 'Image'),
+                onSubmit
+            }));
         addProgressLog(`   [${index + 1}] Image done!`, 'info');
+        setPendingStatus(index, useVision ? 'Captioning...' : 'Finishing...');
 
-        // Caption with vision
-        let finalText = prompt.prompt;
-        if (useVision) {
-            try {
-                const caption = await captionImage(imageUrl, llmModel);
-                finalText = caption;
-            } catch (e) {
-                console.warn('Vision caption failed:', e);
-            }
-        }
-
-        // Add trigger word if specified
-        if (triggerWord) {
-            finalText = `${triggerWord} ${finalText}`;
-        }
-
-        return {
-            imageUrl,
-            prompt: prompt.prompt,
-            text: finalText,
-            metadata: getGenMetadata() // Capture settings
-        };
+        return await buildImageItems(context, image);
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error(`Image ${index + 1} error:`, error);
         throw new Error(error.message || error.toString() || 'Generation failed');
     }
 }
 
 // Generate a reference variation - REFERENCE MODE
-async function generateReferenceItem(prompt, index, total, referenceUrl, aspectRatio, resolution, useVision, llmModel, triggerWord) {
+async function generateReferenceItem(prompt, index, total, referenceUrl, aspectRatio, resolution, useVision, visionModel, triggerWord) {
     addProgressLog(`🎨 [${index + 1}/${total}] Variation: ${truncate(prompt.prompt, 40)}...`, 'info');
+    addPendingCard(index, total, truncate(prompt.prompt, 80));
+    const context = itemContext('reference', prompt, index, total, aspectRatio, resolution, useVision, visionModel, triggerWord);
 
     try {
-        const imageUrl = await generateReferenceVariation(referenceUrl, prompt.prompt, aspectRatio, resolution);
+        const image = await trackJobs({ ...context, stage: 'variation' }, onSubmit =>
+            generateReferenceVariation(referenceUrl, prompt.prompt, aspectRatio, resolution, {
+                numImages: state.imagesPerPrompt,
+                onProgress: itemProgressLogger(index, 'Variation'),
+                onSubmit
+            }));
         addProgressLog(`   [${index + 1}] Variation done!`, 'info');
+        setPendingStatus(index, useVision ? 'Captioning...' : 'Finishing...');
 
-        // Caption with vision
-        let finalText = prompt.prompt;
-        if (useVision) {
-            try {
-                const caption = await captionImage(imageUrl, llmModel);
-                finalText = caption;
-            } catch (e) {
-                console.warn('Vision caption failed:', e);
-            }
-        }
-
-        // Add trigger word if specified
-        if (triggerWord) {
-            finalText = `${triggerWord} ${finalText}`;
-        }
-
-        return {
-            imageUrl,
-            prompt: prompt.prompt,
-            text: finalText,
-            metadata: getGenMetadata() // Capture settings
-        };
+        return await buildImageItems(context, image);
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error(`Variation ${index + 1} error:`, error);
         throw new Error(error.message || error.toString() || 'Generation failed');
     }
 }
 
+// Number new items, keep them in memory and show their cards; returns their "#id" labels
+function addGeneratedItems(values, mode) {
+    const ids = [];
+    for (const value of values) {
+        state.pairCounter++;
+        const item = {
+            id: String(state.pairCounter).padStart(4, '0'),
+            mode,
+            ...value
+        };
+        state.pairs.push(item);
+        addResultCard(item);
+        ids.push(`#${item.id}`);
+    }
+    updatePairCount();
+    return ids;
+}
+
 async function startGeneration() {
+    // One run at a time: runs share the abort controller, progress log and pending cards
+    if (state.isGenerating) {
+        alert('⚠️ A run is still in progress (possibly one resumed after a reload).\n\nWait for it to finish or press Stop first.');
+        return;
+    }
+
     const numPairsInput = document.getElementById('numPairs');
     const numPairs = parseInt(numPairsInput.value) || 20;
 
@@ -1616,6 +2704,7 @@ async function startGeneration() {
     const resolution = document.getElementById('resolution').value;
     const useVision = document.getElementById('useVisionCaption').checked;
     const llmModel = document.getElementById('llmModel').value;
+    const visionModel = document.getElementById('visionModel').value;
 
     // Validate based on mode
     if (!theme) {
@@ -1635,21 +2724,31 @@ async function startGeneration() {
 
     // Validate model supports edit for pair/reference modes
     const provider = providerManager.getActive();
-    const providerModels = provider.getSupportedModels().imageModels;
-    const selectedModel = providerModels.find(m => m.id === state.imageModel);
-    if ((state.mode === 'pair' || state.mode === 'reference') && selectedModel && !selectedModel.supportsEdit) {
-        alert(`⚠️ ${selectedModel.name} doesn't support image editing.\n\nPair mode and Reference mode require edit support.\nPlease select a different model or switch to Single Image mode.`);
+    const editBlocker = getEditBlocker();
+    if (EDIT_MODES.includes(state.mode) && editBlocker) {
+        alert(`⚠️ ${editBlocker.reason}\n\nPair mode and Reference mode require edit support.\n${editBlocker.suggestion || 'Switch to Single Image mode.'}`);
         return;
     }
 
+    // A replayed cassette answers every request, so no key is needed
+    const replaying = getCassetteMode() === 'replay';
     const apiKey = await getApiKey();
-    if (!apiKey) {
+    if (!apiKey && provider.requiresApiKey && !replaying) {
         showApiKeyModal();
         return;
     }
 
+    const roleProblem = await validateRoles(useVision);
+    if (roleProblem) {
+        alert(`⚠️ ${roleProblem}`);
+        return;
+    }
+
+    state.imagesPerPrompt = getImagesPerPrompt();
+    state.extraImagesMode = document.getElementById('extraImagesMode').value;
+
     // Confirm
-    const imagesPerItem = state.mode === 'pair' ? 2 : 1;
+    const imagesPerItem = getImagesPerItem(state.imagesPerPrompt);
     const cost = (numPairs * imagesPerItem * getImageCost() + 0.02).toFixed(2);
     const modeLabel = state.mode === 'pair' ? 'pairs' : 'images';
     if (!confirm(`Generate ${numPairs} ${modeLabel}?\n\n⚡ ${maxConcurrent} parallel requests\n💰 Estimated cost: ~$${cost}\n\nImages stored in memory.\nUse "Download ZIP" to save.`)) {
@@ -1662,8 +2761,15 @@ async function startGeneration() {
     addProgressLog('🤖 Generating creative prompts...', 'info');
 
     state.isGenerating = true;
+    state.abortController = new AbortController();
+    if (replaying) {
+        // Every run replays the cassette from the start
+        rewindCassette();
+        addProgressLog('📼 Replaying cassette, no network requests', 'info');
+    }
     let completed = 0;
     let failed = 0;
+    let cancelled = 0;
 
     try {
         // Upload reference image if in reference mode
@@ -1690,19 +2796,19 @@ async function startGeneration() {
             if (state.mode === 'pair') {
                 results = await Promise.allSettled(
                     batch.map((p, batchIndex) =>
-                        generateSinglePair(p, i + batchIndex, prompts.length, aspectRatio, resolution, useVision, llmModel, triggerWord)
+                        generateSinglePair(p, i + batchIndex, prompts.length, aspectRatio, resolution, useVision, visionModel, triggerWord)
                     )
                 );
             } else if (state.mode === 'single') {
                 results = await Promise.allSettled(
                     batch.map((p, batchIndex) =>
-                        generateSingleItem(p, i + batchIndex, prompts.length, aspectRatio, resolution, useVision, llmModel, triggerWord)
+                        generateSingleItem(p, i + batchIndex, prompts.length, aspectRatio, resolution, useVision, visionModel, triggerWord)
                     )
                 );
             } else if (state.mode === 'reference') {
                 results = await Promise.allSettled(
                     batch.map((p, batchIndex) =>
-                        generateReferenceItem(p, i + batchIndex, prompts.length, referenceUrl, aspectRatio, resolution, useVision, llmModel, triggerWord)
+                        generateReferenceItem(p, i + batchIndex, prompts.length, referenceUrl, aspectRatio, resolution, useVision, visionModel, triggerWord)
                     )
                 );
             }
@@ -1710,44 +2816,175 @@ async function startGeneration() {
             // Process results
             for (let j = 0; j < results.length; j++) {
                 const result = results[j];
+                removePendingCard(i + j);
                 if (result.status === 'fulfilled') {
-                    state.pairCounter++;
-                    const item = {
-                        id: String(state.pairCounter).padStart(4, '0'),
-                        mode: state.mode,
-                        ...result.value
-                    };
-                    state.pairs.push(item);
-                    addResultCard(item);
-                    updatePairCount();
+                    // Each prompt yields one item, or one per image when extra outputs become items
+                    const ids = addGeneratedItems(result.value, state.mode);
                     completed++;
-                    addProgressLog(`✅ #${item.id} complete`, 'success');
+                    addProgressLog(`✅ ${ids.join(', ')} complete`, 'success');
+                } else if (isAbortError(result.reason)) {
+                    cancelled++;
+                    addProgressLog(`⏹️ ${i + j + 1} cancelled`, 'info');
                 } else {
                     failed++;
                     addProgressLog(`❌ ${i + j + 1} failed: ${result.reason?.message || 'Unknown error'}`, 'error');
                 }
-                updateProgress(completed + failed, prompts.length, `${completed}/${prompts.length} done`);
+                updateProgress(completed + failed + cancelled, prompts.length, `${completed}/${prompts.length} done`);
             }
         }
 
-        const failInfo = failed > 0 ? ` (${failed} failed)` : '';
-        updateProgress(prompts.length, prompts.length, 'Complete!');
-        addProgressLog(`🎉 Done! ${completed} ${modeLabel} generated${failInfo}`, 'success');
+        const failInfo = [
+            failed > 0 ? `${failed} failed` : '',
+            cancelled > 0 ? `${cancelled} cancelled` : ''
+        ].filter(Boolean).join(', ');
+        updateProgress(prompts.length, prompts.length, cancelled > 0 ? 'Stopped' : 'Complete!');
+        addProgressLog(`🎉 Done! ${completed} ${modeLabel} generated${failInfo ? ` (${failInfo})` : ''}`, 'success');
         addProgressLog(`📥 Click "Download ZIP" to save your dataset`, 'info');
 
     } catch (error) {
-        addProgressLog(`❌ Error: ${error.message}`, 'error');
-        alert('Error: ' + error.message);
+        if (isAbortError(error)) {
+            addProgressLog('⏹️ Generation cancelled', 'info');
+        } else {
+            addProgressLog(`❌ Error: ${error.message}`, 'error');
+            alert('Error: ' + error.message);
+        }
     } finally {
         state.isGenerating = false;
+        state.abortController = null;
+        clearPendingCards();
+        updateCassetteStatus();
     }
 }
 
 function stopGeneration() {
     state.isGenerating = false;
+    // Aborts fetches and polling loops; providers cancel their server-side jobs
+    state.abortController?.abort();
     addProgressLog('⏹️ Stopped by user', 'info');
 }
 
+// =============================================================================
+// Resuming Interrupted Runs
+// =============================================================================
+
+// Turn the images of a resumed job into item fields, finishing a pair whose END is still missing
+async function finishResumedJob(job, image, signal) {
+    const { context } = job;
+    if (context.stage === 'start') {
+        return await finishPairFromStart(context, image, signal);
+    }
+    if (context.stage === 'end') {
+        return await buildPairItems(context, context.startUrl, context.startSource, image);
+    }
+    return await buildImageItems(context, image);
+}
+
+// Reattach to jobs submitted before the page was reloaded or crashed, so results that
+// are already paid for still end up in the dataset
+async function resumePendingJobs() {
+    let jobs;
+    try {
+        jobs = await listPendingJobs();
+    } catch (error) {
+        console.warn('Could not read pending jobs:', error);
+        return;
+    }
+    if (jobs.length === 0 || state.isGenerating) return;
+
+    // Jobs on a provider without a key stay saved until the key is set
+    const ready = jobs.filter(job => {
+        const provider = providerManager.get(job.providerId);
+        return provider && (provider.apiKey || !provider.requiresApiKey);
+    });
+    if (ready.length === 0) return;
+
+    if (!confirm(`${ready.length} image request(s) from an interrupted run are still on the server.\n\nCollect their results now?\n\nCancel discards them.`)) {
+        await Promise.allSettled(ready.map(job => removePendingJob(job.key)));
+        return;
+    }
+
+    showProgress(true);
+    clearProgressLog();
+    updateProgress(0, ready.length, 'Resuming interrupted run...');
+    addProgressLog(`🔄 Resuming ${ready.length} interrupted request(s)...`, 'info');
+
+    state.isGenerating = true;
+    state.abortController = new AbortController();
+    const { signal } = state.abortController;
+    const maxConcurrent = parseInt(document.getElementById('maxConcurrent')?.value) || 3;
+    let completed = 0;
+    let failed = 0;
+    let cancelled = 0;
+
+    // Collect one job and finish its item
+    const collectJob = async (job, index) => {
+        // Resumed items get their own slots; the original run's numbering is gone
+        job.context = { ...job.context, index, total: ready.length };
+        addPendingCard(index, ready.length, truncate(job.context.prompt.base_prompt || job.context.prompt.prompt || '', 80));
+        const provider = providerManager.get(job.providerId);
+        const label = job.context.stage === 'start' ? 'START' : job.context.stage === 'end' ? 'END' : 'Image';
+        let result;
+        try {
+            result = await provider.resumeJob(job, {
+                signal,
+                onProgress: itemProgressLogger(index, `${label} (resumed)`)
+            });
+        } catch (error) {
+            // Timed out or unreachable again: keep it for the next load
+            if (isJobSettled(job.providerId, error)) {
+                await removePendingJob(job.key).catch(() => {});
+            }
+            throw error;
+        }
+        // The images are collected; finishing the item doesn't need the job any more
+        await removePendingJob(job.key).catch(() => {});
+        return await finishResumedJob(job, { result, providerId: job.providerId, model: job.model }, signal);
+    };
+
+    // Report each item as soon as it settles
+    const report = (index, outcome) => {
+        removePendingCard(index);
+        if (outcome.status === 'fulfilled') {
+            const ids = addGeneratedItems(outcome.value, ready[index].context.mode);
+            completed++;
+            addProgressLog(`✅ ${ids.join(', ')} recovered`, 'success');
+        } else if (isAbortError(outcome.reason)) {
+            cancelled++;
+            addProgressLog(`⏹️ ${index + 1} cancelled`, 'info');
+        } else {
+            failed++;
+            addProgressLog(`❌ ${index + 1} could not be recovered: ${outcome.reason?.message || 'Unknown error'}`, 'error');
+        }
+        updateProgress(completed + failed + cancelled, ready.length, `${completed}/${ready.length} recovered`);
+    };
+
+    try {
+        // Same parallel limit as a normal run
+        for (let i = 0; i < ready.length; i += maxConcurrent) {
+            if (!state.isGenerating) break;
+
+            const batch = ready.slice(i, i + maxConcurrent);
+            await Promise.all(batch.map((job, batchIndex) => collectJob(job, i + batchIndex).then(
+                value => report(i + batchIndex, { status: 'fulfilled', value }),
+                reason => report(i + batchIndex, { status: 'rejected', reason })
+            )));
+        }
+
+        // Jobs left unstarted by Stop stay saved for the next load
+        const stopped = cancelled > 0 || !state.isGenerating;
+        const failInfo = [
+            failed > 0 ? `${failed} failed` : '',
+            cancelled > 0 ? `${cancelled} cancelled` : ''
+        ].filter(Boolean).join(', ');
+        updateProgress(completed + failed + cancelled, ready.length, stopped ? 'Stopped' : 'Resumed');
+        addProgressLog(`🎉 Recovered ${completed} item(s)${failInfo ? ` (${failInfo})` : ''}`, 'success');
+    } finally {
+        state.isGenerating = false;
+        state.abortController = null;
+        clearPendingCards();
+    }
+}
+
 // =============================================================================
 // ZIP Download
 // =============================================================================
@@ -1859,7 +3096,7 @@ async function fetchModelsFromFAL(apiKey = null) {
 
     try {
         // Use provided API key or try to get it
-        const key = apiKey || await getApiKey();
+        const key = apiKey || await getApiKey('fal');
         const headers = {
             'Content-Type': 'application/json'
         };
@@ -2098,6 +3335,20 @@ async function fetchModelsFromFAL(apiKey = null) {
 // Image Model Selection
 // =============================================================================
 
+// Let providers with a server-side model list (local WebUIs, etc.) refresh it
+async function refreshProviderModels() {
+    const inUse = new Set(['image', ...Object.keys(providerManager.roles)].map(role => providerManager.getRole(role)));
+    for (const provider of inUse) {
+        try {
+            await provider.refreshModels();
+        } catch (e) {
+            console.warn(`[refreshProviderModels] Could not refresh ${provider.name} models:`, e.message);
+        }
+    }
+    populateImageModels();
+    populateLLMModels();
+}
+
 function populateImageModels() {
     // Get unified panel select (this is the only select now)
     let select = document.querySelector('#modelParametersPanel #imageModel');
@@ -2120,6 +3371,7 @@ function populateImageModels() {
     if (!models || models.length === 0) {
         console.warn(`Provider ${provider.name} has no image models available`);
         descElement.textContent = `No image models available for ${provider.name}`;
+        updateCapabilityGating();
         return;
     }
 
@@ -2173,10 +3425,8 @@ function populateImageModels() {
                 descElement.textContent = `${provider.name}: ${selectedModel.name} v${selectedModel.version} - ${selectedModel.pricing}`;
             }
 
-            // Warn if model doesn't support edit and user is in pair/reference mode
-            if (!selectedModel.supportsEdit && (state.mode === 'pair' || state.mode === 'reference')) {
-                alert(`⚠️ ${selectedModel.name} v${selectedModel.version} doesn't support image editing.\n\nPair mode and Reference mode require edit support. Please select a different model or switch to Single Image mode.`);
-            }
+            // Models without edit support disable Pair and Reference mode
+            updateCapabilityGating();
 
             // Render dynamic parameters UI
             try {
@@ -2225,6 +3475,8 @@ function populateImageModels() {
             }
         }, 100);
     }
+
+    updateCapabilityGating();
 }
 
 // =============================================================================
@@ -2232,9 +3484,15 @@ function populateImageModels() {
 // =============================================================================
 
 function populateLLMModels() {
-    const select = document.getElementById('llmModel');
+    populateRoleModels('llm', 'llmModel', 'selected_llm_model');
+    populateRoleModels('vision', 'visionModel', 'selected_vision_model');
+    updateCapabilityGating();
+}
+
+function populateRoleModels(role, selectId, storageKey) {
+    const select = document.getElementById(selectId);
     if (!select) {
-        console.error('LLM model select element not found');
+        console.error(`${role} model select element not found`);
         return;
     }
 
@@ -2246,23 +3504,23 @@ function populateLLMModels() {
     // Clear existing options
     llmSelect.innerHTML = '';
 
-    // Get models from active provider
-    const provider = providerManager.getActive();
+    // Get models from the provider assigned to this role
+    const provider = providerManager.getRole(role);
     const models = provider.getSupportedModels().llmModels;
 
     // Check if provider supports LLM
-    if (!models || models.length === 0) {
-        console.warn(`Provider ${provider.name} has no LLM models available`);
+    if (!models || models.length === 0 || !providerManager.supportsRole(provider, role)) {
+        console.warn(`Provider ${provider.name} has no ${role} models available`);
         const option = document.createElement('option');
         option.value = '';
-        option.textContent = `${provider.name} does not support LLM`;
+        option.textContent = `${provider.name} does not support ${role === 'llm' ? 'LLM' : 'vision'}`;
         option.disabled = true;
         llmSelect.appendChild(option);
         llmSelect.disabled = true;
         return;
     }
 
-    console.log(`[populateLLMModels] Populating dropdown with ${models.length} LLM models from ${provider.name}:`, models);
+    console.log(`[populateRoleModels] Populating ${role} dropdown with ${models.length} models from ${provider.name}:`, models);
 
     // Add models to dropdown
     models.forEach(model => {
@@ -2276,21 +3534,367 @@ function populateLLMModels() {
     llmSelect.disabled = false;
 
     // Try to restore previous selection, or select first model
-    const savedModel = localStorage.getItem('selected_llm_model');
+    const savedModel = localStorage.getItem(storageKey);
     if (savedModel && models.find(m => m.id === savedModel)) {
         llmSelect.value = savedModel;
     } else if (models.length > 0) {
         llmSelect.value = models[0].id;
     }
+    providerManager.roles[role].model = llmSelect.value;
 
     // Save selection on change
     llmSelect.addEventListener('change', (e) => {
+        providerManager.roles[role].model = e.target.value;
         try {
-            localStorage.setItem('selected_llm_model', e.target.value);
+            localStorage.setItem(storageKey, e.target.value);
         } catch (err) {}
     });
 }
 
+// =============================================================================
+// Provider Roles (image / prompt LLM / vision captions)
+// =============================================================================
+
+const ROLE_LABELS = {
+    llm: 'prompt generation',
+    vision: 'vision captions'
+};
+
+function getStoredRoles() {
+    try {
+        const stored = localStorage.getItem('provider_roles');
+        return stored ? JSON.parse(stored) : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveStoredRoles() {
+    const roles = {};
+    Object.entries(providerManager.roles).forEach(([role, slot]) => {
+        roles[role] = { providerId: slot.providerId };
+    });
+    localStorage.setItem('provider_roles', JSON.stringify(roles));
+}
+
+function applyStoredRoles() {
+    Object.entries(getStoredRoles()).forEach(([role, slot]) => {
+        try {
+            providerManager.setRole(role, slot.providerId);
+        } catch (e) {
+            console.warn(`Ignoring stored ${role} provider:`, e.message);
+        }
+    });
+}
+
+// A role shows a key field when its provider isn't the image provider (keyed in the 🔑 dialog)
+// or another slot showing the same provider
+function roleNeedsOwnKey(role) {
+    const provider = providerManager.getRole(role);
+    if (provider === providerManager.getActive() || !provider.requiresApiKey) return false;
+    return !(role === 'vision' && provider === providerManager.getRole('llm'));
+}
+
+async function updateRoleKeyField(role) {
+    const input = document.getElementById(`${role}RoleKey`);
+    if (!input) return;
+
+    const needsKey = roleNeedsOwnKey(role);
+    input.classList.toggle('hidden', !needsKey);
+    if (needsKey) {
+        input.placeholder = `${providerManager.getRole(role).name} API key`;
+        input.value = await getApiKey(providerManager.getRole(role).id);
+    }
+}
+
+// Sidebar selectors: image provider plus the LLM and vision slots
+function populateRoleSelectors() {
+    const imageSelect = document.getElementById('imageProvider');
+    if (!imageSelect) return;
+
+    const providers = providerManager.getAll().sort((a, b) => a.name.localeCompare(b.name));
+    const active = providerManager.getActive();
+
+    imageSelect.innerHTML = '';
+    providers.filter(p => providerManager.supportsRole(p, 'image')).forEach(p => {
+        const option = document.createElement('option');
+        option.value = p.id;
+        option.textContent = p.name + (p.config ? ' (Custom)' : '');
+        imageSelect.appendChild(option);
+    });
+    imageSelect.value = active.id;
+    imageSelect.onchange = async () => {
+        try {
+            await switchImageProvider(imageSelect.value);
+            populateProviderDropdown();
+        } catch (e) {
+            console.error(e);
+        }
+    };
+
+    Object.keys(providerManager.roles).forEach(role => {
+        const select = document.getElementById(`${role}Provider`);
+        if (!select) return;
+
+        select.innerHTML = '';
+        const follow = document.createElement('option');
+        follow.value = '';
+        follow.textContent = `Same as image (${active.name})`;
+        select.appendChild(follow);
+
+        providers.filter(p => p !== active && providerManager.supportsRole(p, role)).forEach(p => {
+            const option = document.createElement('option');
+            option.value = p.id;
+            option.textContent = p.name + (p.config ? ' (Custom)' : '');
+            select.appendChild(option);
+        });
+
+        const assigned = providerManager.roles[role].providerId;
+        select.value = assigned && assigned !== active.id ? assigned : '';
+
+        select.onchange = async () => {
+            try {
+                providerManager.setRole(role, select.value || null);
+                saveStoredRoles();
+                populateRoleSelectors();
+                await refreshProviderModels();
+            } catch (e) {
+                console.error(e);
+                alert(`❌ ${e.message}`);
+            }
+        };
+
+        updateRoleKeyField(role);
+
+        const keyInput = document.getElementById(`${role}RoleKey`);
+        if (keyInput) {
+            keyInput.onchange = async () => {
+                try {
+                    await setApiKey(keyInput.value.trim(), null, providerManager.getRole(role).id);
+                } catch (e) {
+                    alert(`❌ ${e.message}`);
+                }
+            };
+        }
+    });
+}
+
+// =============================================================================
+// Image Failover Chain
+// =============================================================================
+
+function getFailoverChain() {
+    try {
+        const stored = localStorage.getItem('failover_chain');
+        return stored ? JSON.parse(stored) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveFailoverChain(chain) {
+    localStorage.setItem('failover_chain', JSON.stringify(chain));
+    applyFailoverChain();
+}
+
+function applyFailoverChain() {
+    // Entries for providers that are no longer registered are skipped, not dropped
+    const chain = getFailoverChain().filter(entry => providerManager.get(entry.providerId));
+    try {
+        providerManager.setFailoverChain(chain);
+    } catch (e) {
+        console.error('Invalid failover chain:', e);
+    }
+}
+
+function renderFailoverChain() {
+    const list = document.getElementById('failoverList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    getFailoverChain().forEach((entry, index) => {
+        const row = document.createElement('div');
+        row.className = 'pinned-model-item';
+
+        const label = document.createElement('span');
+        const provider = providerManager.get(entry.providerId);
+        label.textContent = `${index + 1}. ${provider ? provider.name : `${entry.providerId} (missing)`} / ${entry.model}`;
+        row.appendChild(label);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-secondary btn-sm';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove from chain';
+        removeBtn.onclick = () => removeFailoverEntry(index);
+        row.appendChild(removeBtn);
+
+        list.appendChild(row);
+    });
+}
+
+// Provider/model pickers for adding a chain entry
+function populateFailoverPickers() {
+    const providerSelect = document.getElementById('failoverProvider');
+    const modelSelect = document.getElementById('failoverModel');
+    const keyInput = document.getElementById('failoverKey');
+    if (!providerSelect || !modelSelect) return;
+
+    const current = providerSelect.value;
+    providerSelect.innerHTML = '';
+    providerManager.getAll()
+        .filter(p => providerManager.supportsRole(p, 'image'))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(p => {
+            const option = document.createElement('option');
+            option.value = p.id;
+            option.textContent = p.name + (p.config ? ' (Custom)' : '');
+            providerSelect.appendChild(option);
+        });
+    if (current && providerManager.get(current)) providerSelect.value = current;
+
+    const fillModels = () => {
+        const provider = providerManager.get(providerSelect.value);
+        modelSelect.innerHTML = '';
+        provider.getSupportedModels().imageModels.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = `${model.name}${model.supportsEdit ? '' : ' (no edit)'}`;
+            modelSelect.appendChild(option);
+        });
+
+        const needsKey = provider !== providerManager.getActive() && provider.requiresApiKey;
+        keyInput.classList.toggle('hidden', !needsKey);
+        keyInput.value = '';
+        keyInput.placeholder = `${provider.name} API key (leave empty to keep saved key)`;
+    };
+    providerSelect.onchange = fillModels;
+    fillModels();
+}
+
+async function addFailoverEntry() {
+    const providerId = document.getElementById('failoverProvider').value;
+    const model = document.getElementById('failoverModel').value;
+    const key = document.getElementById('failoverKey').value.trim();
+
+    if (!providerId || !model) {
+        alert('Please choose a provider and model');
+        return;
+    }
+
+    const chain = getFailoverChain();
+    if (chain.some(e => e.providerId === providerId && e.model === model)) {
+        alert('That provider and model are already in the chain');
+        return;
+    }
+
+    try {
+        if (key) {
+            await setApiKey(key, null, providerId);
+        }
+        saveFailoverChain([...chain, { providerId, model }]);
+    } catch (e) {
+        alert(`❌ ${e.message}`);
+        return;
+    }
+
+    renderFailoverChain();
+    populateFailoverPickers();
+}
+
+function removeFailoverEntry(index) {
+    const chain = getFailoverChain();
+    chain.splice(index, 1);
+    saveFailoverChain(chain);
+    renderFailoverChain();
+}
+
+// Make sure each role used by this run has a capable, configured provider
+async function validateRoles(useVision) {
+    const roles = useVision ? ['llm', 'vision'] : ['llm'];
+    for (const role of roles) {
+        const provider = providerManager.getRole(role);
+        if (!providerManager.supportsRole(provider, role)) {
+            return `${provider.name} can't do ${ROLE_LABELS[role]}.\n\nPick a different provider for it in the Settings panel.`;
+        }
+        if (roleNeedsOwnKey(role) && getCassetteMode() !== 'replay' && !(await getApiKey(provider.id))) {
+            return `Enter a ${provider.name} API key for ${ROLE_LABELS[role]} in the Settings panel.`;
+        }
+    }
+    return null;
+}
+
+// =============================================================================
+// Cassettes (record / replay provider traffic)
+// =============================================================================
+
+function updateCassetteStatus() {
+    const status = document.getElementById('cassetteStatus');
+    if (!status) return;
+
+    const stats = getCassetteStats();
+    if (stats.mode === 'record') {
+        status.textContent = `⏺️ Recording: ${stats.interactions} request(s)`;
+    } else if (stats.mode === 'replay') {
+        status.textContent = `▶️ Replaying: ${stats.replayed}/${stats.interactions} response(s) served`;
+    } else if (stats.interactions > 0) {
+        status.textContent = `Off (live). Last recording: ${stats.interactions} request(s), ready to export`;
+    } else {
+        status.textContent = 'Off (live network)';
+    }
+    document.getElementById('cassetteRecordBtn')?.classList.toggle('hidden', stats.mode === 'record');
+    document.getElementById('cassetteStopBtn')?.classList.toggle('hidden', stats.mode === 'off');
+}
+
+function recordCassette() {
+    const stats = getCassetteStats();
+    if (stats.mode === 'off' && stats.interactions > 0 &&
+        !confirm('Start a new recording?\n\nThe last recording will be discarded. Export it first to keep it.')) {
+        return;
+    }
+    startRecording();
+    addProgressLog('⏺️ Recording provider traffic to a cassette', 'info');
+    updateCassetteStatus();
+}
+
+function stopCassetteMode() {
+    stopCassette();
+    updateCassetteStatus();
+}
+
+function exportCassetteFile() {
+    const stats = getCassetteStats();
+    if (stats.mode === 'replay' || stats.interactions === 0) {
+        alert('Nothing recorded yet. Press ⏺️ Record, run a generation, then export.');
+        return;
+    }
+
+    const dataStr = JSON.stringify(exportCassette(), null, 2);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `cassette-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+async function loadCassetteFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+
+    try {
+        startReplay(JSON.parse(await file.text()));
+        addProgressLog(`▶️ Loaded cassette ${file.name}; runs replay it instead of calling providers`, 'info');
+    } catch (error) {
+        alert(`Failed to load cassette: ${error.message}`);
+    }
+    updateCassetteStatus();
+}
+
 // =============================================================================
 // Image Preview
 // =============================================================================
@@ -2323,6 +3927,7 @@ document.addEventListener('keydown', (e) => {
 
 // Expose for onclick
 window.openImagePreview = openImagePreview;
+window.selectAlternate = selectAlternate;
 window.closeImagePreview = closeImagePreview;
 
 // =============================================================================
@@ -2332,6 +3937,18 @@ window.closeImagePreview = closeImagePreview;
 async function init() {
     // Register custom providers first so persisted selection can be restored
     loadCustomProviders();
+    applyProviderBaseUrls();
+    applyReplicateModels();
+    applyComfyWorkflows();
+    applyKiePollingSettings();
+    setupKiePollingControls();
+    applyFalPollingSettings();
+    setupFalPollingControls();
+    applyMockSettings();
+    setupMockControls();
+    applyHttpSettings();
+    setupHttpSettingsControls();
+    updateCassetteStatus();
 
     // Restore previously selected provider if available
     try {
@@ -2340,6 +3957,11 @@ async function init() {
             providerManager.setActive(savedProvider);
         }
     } catch (e) {}
+    applyStoredRoles();
+    populateRoleSelectors();
+    applyFailoverChain();
+    renderFailoverChain();
+    populateFailoverPickers();
 
     // Show security banner if not dismissed
     const bannerDismissed = localStorage.getItem('security_banner_dismissed');
@@ -2348,11 +3970,13 @@ async function init() {
         if (banner) banner.style.display = 'flex';
     }
 
-    // Check for API key FIRST, then fetch models with pricing
+    // Check for API keys FIRST, then fetch models with pricing
+    migrateLegacyApiKeys();
     let apiKey = await getApiKey();
-    
+    const falKey = await getApiKey('fal');
+
     // Fetch models from FAL API (with live pricing) - pass API key if available
-    await fetchModelsFromFAL(apiKey);
+    await fetchModelsFromFAL(falKey);
 
     // Populate image models dropdown (wait a tick to ensure IMAGE_MODELS is populated)
     await new Promise(resolve => setTimeout(resolve, 0));
@@ -2364,8 +3988,8 @@ async function init() {
         // Initialize active provider
         try {
             await providerManager.getActive().setApiKey(apiKey);
-            // Also set API key for schema manager
-            schemaManager.setApiKey(apiKey);
+            // Schemas come from FAL, whichever provider is active
+            if (falKey) schemaManager.setApiKey(falKey);
         } catch (e) {
             console.error('Failed to configure provider:', e);
         }
@@ -2374,21 +3998,34 @@ async function init() {
         const encrypted = settings.useEncryption ? ' (encrypted)' : '';
         updateStatus(true, `API Key Set${encrypted}`);
         setupAutoClear();
+        verifyStoredKey(providerManager.getActive(), encrypted);
         
         // Retry pricing fetch with API key if we didn't have it before
-        if (IMAGE_MODELS.every(m => m.pricingSource === 'fallback')) {
+        if (falKey && IMAGE_MODELS.every(m => m.pricingSource === 'fallback')) {
             console.log('[init] Retrying pricing fetch with API key...');
-            await fetchModelsFromFAL(apiKey);
+            await fetchModelsFromFAL(falKey);
             // Re-populate dropdown with updated pricing
             populateImageModels();
         }
+    } else if (!providerManager.getActive().requiresApiKey) {
+        updateStatus(true, `${providerManager.getActive().name} ready (no key needed)`);
     } else {
         updateStatus(false, 'Click 🔑 to add API key');
         setTimeout(() => showApiKeyModal(), 500);
     }
 
+    // LLM/vision and failover slots on other providers use their own keys
+    await configureProviderKeys();
+
+    // Collect requests a reload or crash left running, once the page is set up
+    setTimeout(() => resumePendingJobs(), 500);
+
+    // Pick up server-side model lists without holding up the rest of init
+    refreshProviderModels();
+
     // Setup cost estimate
     document.getElementById('numPairs').addEventListener('input', updateCostEstimate);
+    document.getElementById('imagesPerPrompt').addEventListener('input', updateCostEstimate);
     document.getElementById('useVisionCaption').addEventListener('change', updateCostEstimate);
     document.getElementById('resolution').addEventListener('change', updateCostEstimate);
     updateCostEstimate();
@@ -2438,6 +4075,7 @@ window.setMode = setMode;
 window.showApiKeyModal = showApiKeyModal;
 window.hideApiKeyModal = hideApiKeyModal;
 window.saveApiKey = saveApiKey;
+window.testApiKey = testApiKey;
 window.clearApiKey = clearApiKey;
 window.toggleKeyVisibility = toggleKeyVisibility;
 window.showSecuritySettings = showSecuritySettings;
@@ -2457,8 +4095,24 @@ window.copyPromptToClipboard = copyPromptToClipboard;
 window.togglePrompts = togglePrompts;
 window.addResultCard = addResultCard;
 
+window.addReplicateModel = addReplicateModel;
+window.addComfyWorkflow = addComfyWorkflow;
+window.addFailoverEntry = addFailoverEntry;
+
 // Custom Provider Exports
 window.addCustomProvider = addCustomProvider;
 window.deleteCustomProvider = deleteCustomProvider;
+window.showAddProviderModal = showAddProviderModal;
+window.showEditProviderModal = showEditProviderModal;
+window.handleSaveProvider = handleSaveProvider;
+window.handleDeleteProvider = handleDeleteProvider;
+window.exportCustomProviders = exportCustomProviders;
+window.recordCassette = recordCassette;
+window.stopCassetteMode = stopCassetteMode;
+window.exportCassetteFile = exportCassetteFile;
+window.loadCassetteFile = loadCassetteFile;
+window.importCustomProviders = importCustomProviders;
+window.testProviderForm = testProviderForm;
+window.cancelProviderTest = cancelProviderTest;
 
 document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,236 @@
+/**
+ * Cassettes - record provider traffic and replay it without the network
+ * Hooks the transport in http_client.js, so every provider, on both pages, is covered
+ */
+
+import { setHttpTransport, httpFetch, HttpError } from './http_client.js';
+
+export const CASSETTE_VERSION = 1;
+
+// Response bodies with these content types are stored as text, everything else as base64
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(json|xml|javascript|x-www-form-urlencoded)|[^;]*\+json)/i;
+
+const cassette = {
+    mode: 'off',        // 'off', 'record' or 'replay'
+    interactions: [],   // { request: { method, url, body }, response: { status, statusText, headers, body, encoding } }
+    used: new Set(),    // Indexes already served during replay
+    recordedAt: null
+};
+
+// =============================================================================
+// Encoding
+// =============================================================================
+
+function bytesToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Stable text for a request body, used to tell requests to the same URL apart.
+// Files are reduced to type and size; headers (and so API keys) are never stored.
+function describeBody(body) {
+    if (body === undefined || body === null) return '';
+    if (typeof body === 'string') return body;
+    if (body instanceof URLSearchParams) return body.toString();
+    if (body instanceof Blob) return `[blob ${body.type || 'application/octet-stream'} ${body.size}]`;
+    if (body instanceof FormData) {
+        return [...body.entries()]
+            .map(([key, value]) => `${key}=${typeof value === 'string' ? value : describeBody(value)}`)
+            .join('&');
+    }
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return `[binary ${body.byteLength}]`;
+    return String(body);
+}
+
+function describeRequest(input, options = {}) {
+    const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+    return {
+        method: (options.method || (isRequest ? input.method : 'GET')).toUpperCase(),
+        url: String(isRequest ? input.url : input),
+        body: describeBody(options.body)
+    };
+}
+
+// =============================================================================
+// Transports
+// =============================================================================
+
+async function recordingTransport(input, options = {}) {
+    const request = describeRequest(input, options);
+    const response = await fetch(input, options);
+
+    const contentType = response.headers.get('Content-Type') || '';
+    const buffer = await response.clone().arrayBuffer();
+    const isText = buffer.byteLength === 0 || TEXT_CONTENT_TYPE.test(contentType);
+
+    cassette.interactions.push({
+        request,
+        response: {
+            status: response.status,
+            statusText: response.statusText,
+            headers: Object.fromEntries(response.headers.entries()),
+            body: isText ? new TextDecoder().decode(buffer) : bytesToBase64(buffer),
+            encoding: isText ? 'text' : 'base64'
+        }
+    });
+    return response;
+}
+
+// Serve the first unused recording with the same method, URL and body, else the same
+// method and URL. Status polls (GETs) that outlast the recording get the last response again.
+function findInteraction({ method, url, body }) {
+    const matching = [];
+    cassette.interactions.forEach((interaction, index) => {
+        if (interaction.request.method === method && interaction.request.url === url) {
+            matching.push(index);
+        }
+    });
+
+    const unused = matching.filter(index => !cassette.used.has(index));
+    const exact = unused.find(index => cassette.interactions[index].request.body === body);
+    const index = exact ?? unused[0] ?? (method === 'GET' ? matching[matching.length - 1] : undefined);
+    if (index === undefined) return null;
+
+    cassette.used.add(index);
+    return cassette.interactions[index];
+}
+
+async function replayTransport(input, options = {}) {
+    if (options.signal?.aborted) {
+        throw options.signal.reason;
+    }
+
+    const request = describeRequest(input, options);
+    const interaction = findInteraction(request);
+    if (!interaction) {
+        throw new HttpError(`No recorded response for ${request.method} ${request.url} in the cassette`);
+    }
+
+    const { status, statusText, headers, body, encoding } = interaction.response;
+    // Null-body statuses can't carry a body
+    const payload = [101, 204, 205, 304].includes(status) ? null
+        : encoding === 'base64' ? base64ToBytes(body) : body;
+    return new Response(payload, { status, statusText, headers });
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+export function getCassetteMode() {
+    return cassette.mode;
+}
+
+export function getCassetteStats() {
+    return {
+        mode: cassette.mode,
+        interactions: cassette.interactions.length,
+        replayed: cassette.used.size,
+        recordedAt: cassette.recordedAt
+    };
+}
+
+// Start a new recording; the previous cassette is discarded
+export function startRecording() {
+    cassette.interactions = [];
+    cassette.used = new Set();
+    cassette.recordedAt = new Date().toISOString();
+    cassette.mode = 'record';
+    setHttpTransport(recordingTransport);
+}
+
+/**
+ * Replay a cassette from exportCassette(). Every request is answered from it, and
+ * requests it has no recording for fail instead of reaching the network.
+ */
+export function startReplay(data) {
+    if (!data || data.version !== CASSETTE_VERSION || !Array.isArray(data.interactions)) {
+        throw new Error(`Not a cassette file (expected version ${CASSETTE_VERSION} with an interactions list)`);
+    }
+    const invalid = data.interactions.findIndex(i => !i?.request?.url || !i?.response || typeof i.response.status !== 'number');
+    if (invalid >= 0) {
+        throw new Error(`Cassette interaction ${invalid} is missing its request URL or response status`);
+    }
+
+    cassette.interactions = data.interactions;
+    cassette.used = new Set();
+    cassette.recordedAt = data.recordedAt || null;
+    cassette.mode = 'replay';
+    setHttpTransport(replayTransport);
+}
+
+// Back to the network. A recording is kept so it can still be exported.
+export function stopCassette() {
+    if (cassette.mode === 'replay') {
+        cassette.interactions = [];
+        cassette.used = new Set();
+    }
+    cassette.mode = 'off';
+    setHttpTransport(null);
+}
+
+// Rewind a replay so the same cassette can be run again
+export function rewindCassette() {
+    cassette.used = new Set();
+}
+
+export function exportCassette() {
+    return {
+        version: CASSETTE_VERSION,
+        recordedAt: cassette.recordedAt,
+        interactions: cassette.interactions
+    };
+}
+
+// =============================================================================
+// Provider Hook
+// =============================================================================
+
+// Fetch remote result images through the transport so the cassette holds them too.
+// Object URLs replace the remote ones; an image that can't be fetched keeps its URL.
+async function captureImages(urls, signal) {
+    return await Promise.all(urls.map(async (url) => {
+        if (typeof url !== 'string' || !/^https?:/i.test(url)) return url;
+        try {
+            const response = await httpFetch(url, { signal, retries: 0 });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return URL.createObjectURL(await response.blob());
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.warn(`[cassette] Could not capture image ${url}:`, error.message);
+            return url;
+        }
+    }));
+}
+
+/**
+ * Wrap a provider's image methods, resumeJob included, so that while a cassette records
+ * or replays, the images they return are fetched through it. Called by the provider
+ * manager on register.
+ */
+export function instrumentProvider(provider) {
+    // resumeJob(job, params) takes its params second
+    for (const method of ['generateImage', 'editImage', 'resumeJob']) {
+        const original = provider[method];
+        provider[method] = async function (...args) {
+            const urls = await original.apply(this, args);
+            if (cassette.mode === 'off' || !Array.isArray(urls)) return urls;
+            const params = (method === 'resumeJob' ? args[1] : args[0]) || {};
+            return await captureImages(urls, params.signal);
+        };
+    }
+    return provider;
+}
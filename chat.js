@@ -2,14 +2,11 @@ import { providerManager, GenericProvider } from './api_providers.js';
 import { schemaManager } from './schema_manager.js';
 import { UIGenerator } from './ui_generator.js';
 import { parameterMapper } from './parameter_mapper.js';
-
-const ENCRYPTION_CONFIG = {
-    algorithm: 'AES-GCM',
-    keyLength: 256,
-    ivLength: 12,
-    saltLength: 16,
-    iterations: 100000
-};
+import { startRecording, startReplay, stopCassette, exportCassette, getCassetteStats } from './cassette.js';
+import {
+    migrateLegacyApiKeys, getApiKey, applyProviderBaseUrls, applyHttpSettings, applyKiePollingSettings,
+    applyFalPollingSettings, applyMockSettings, listNames
+} from './settings_store.js';
 
 const CURATED_MODELS = [
     {
@@ -73,100 +70,6 @@ try {
     if (savedModel) state.imageModel = savedModel;
 } catch (e) {}
 
-function getSecuritySettings() {
-    const defaults = {
-        useEncryption: false,
-        useSessionStorage: false,
-        autoClockMinutes: 0
-    };
-    const stored = localStorage.getItem('security_settings');
-    return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
-}
-
-function getStorage() {
-    const settings = getSecuritySettings();
-    return settings.useSessionStorage ? sessionStorage : localStorage;
-}
-
-function bufToBase64(buf) {
-    const bytes = new Uint8Array(buf);
-    let binary = '';
-    for (let i = 0; i < bytes.byteLength; i++) {
-        binary += String.fromCharCode(bytes[i]);
-    }
-    return btoa(binary);
-}
-
-function base64ToBuf(base64) {
-    const binary = atob(base64);
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-        bytes[i] = binary.charCodeAt(i);
-    }
-    return bytes.buffer;
-}
-
-async function deriveKey(password, salt) {
-    const enc = new TextEncoder();
-    const keyMaterial = await crypto.subtle.importKey(
-        'raw',
-        enc.encode(password),
-        'PBKDF2',
-        false,
-        ['deriveBits', 'deriveKey']
-    );
-
-    return crypto.subtle.deriveKey(
-        {
-            name: 'PBKDF2',
-            salt: salt,
-            iterations: ENCRYPTION_CONFIG.iterations,
-            hash: 'SHA-256'
-        },
-        keyMaterial,
-        { name: ENCRYPTION_CONFIG.algorithm, length: ENCRYPTION_CONFIG.keyLength },
-        false,
-        ['encrypt', 'decrypt']
-    );
-}
-
-async function decryptData(encryptedData, password) {
-    const combined = new Uint8Array(base64ToBuf(encryptedData));
-    const salt = combined.slice(0, ENCRYPTION_CONFIG.saltLength);
-    const iv = combined.slice(ENCRYPTION_CONFIG.saltLength, ENCRYPTION_CONFIG.saltLength + ENCRYPTION_CONFIG.ivLength);
-    const encrypted = combined.slice(ENCRYPTION_CONFIG.saltLength + ENCRYPTION_CONFIG.ivLength);
-
-    const key = await deriveKey(password, salt);
-
-    const decrypted = await crypto.subtle.decrypt(
-        { name: ENCRYPTION_CONFIG.algorithm, iv: iv },
-        key,
-        encrypted
-    );
-
-    return new TextDecoder().decode(decrypted);
-}
-
-async function getApiKey() {
-    const settings = getSecuritySettings();
-    const storage = getStorage();
-    const stored = storage.getItem('fal_api_key');
-    if (!stored) return '';
-
-    if (settings.useEncryption) {
-        const password = sessionStorage.getItem('encryption_password');
-        if (!password) return '';
-        try {
-            return await decryptData(stored, password);
-        } catch (e) {
-            console.error('Decryption failed:', e);
-            return '';
-        }
-    }
-
-    return stored;
-}
-
 function loadCustomProviders() {
     try {
         const stored = localStorage.getItem('custom_providers');
@@ -394,26 +297,48 @@ function populateProviderDropdown() {
             } catch (e) {
                 console.error('Failed to configure provider with API key:', e);
             }
+            // Model lists differ per provider
+            await populateImageModels();
         } catch (e) {
             console.error(e);
         }
     };
 }
 
+// The active provider's image models. FAL's list is discovered on the main page only,
+// so chat falls back to its curated FAL models.
+function getImageModels() {
+    const provider = providerManager.getActive();
+    const models = provider.getSupportedModels().imageModels || [];
+    return models.length === 0 && provider.id === 'fal' ? CURATED_MODELS : models;
+}
+
 async function populateImageModels() {
     const select = document.getElementById('imageModel');
     const desc = document.getElementById('imageModelDesc');
     if (!select) return;
 
+    // Local servers and custom providers list their models on the server
+    try {
+        await providerManager.getActive().refreshModels();
+    } catch (e) {
+        console.warn('Failed to refresh provider models:', e);
+    }
+
     select.innerHTML = '';
 
-    CURATED_MODELS.forEach(m => {
+    const models = getImageModels();
+    models.forEach(m => {
         const option = document.createElement('option');
         option.value = m.id;
         option.textContent = m.name + (m.supportsEdit ? '' : ' (no edit)');
         select.appendChild(option);
     });
 
+    // A model saved for another provider isn't sent to this one
+    if (!models.some(m => m.id === state.imageModel) && models.length > 0) {
+        state.imageModel = models[0].id;
+    }
     select.value = state.imageModel;
 
     const update = async (modelId) => {
@@ -422,8 +347,9 @@ async function populateImageModels() {
             localStorage.setItem('selected_image_model', modelId);
         } catch (e) {}
 
-        const m = CURATED_MODELS.find(x => x.id === modelId);
-        if (m && desc) desc.textContent = m.description;
+        const m = getModelConfig(modelId);
+        if (m && desc) desc.textContent = m.description || `${m.name}${m.pricing ? ` - ${m.pricing}` : ''}`;
+        updateEditGating();
 
         try {
             await uiGenerator.renderUI(modelId, 'modelParametersPanel');
@@ -439,6 +365,62 @@ async function populateImageModels() {
     await update(state.imageModel);
 }
 
+// Record/replay of provider traffic; same cassette format as the main page
+function updateCassetteStatus() {
+    const status = document.getElementById('chatCassetteStatus');
+    if (!status) return;
+
+    const stats = getCassetteStats();
+    status.textContent = stats.mode === 'record' ? `⏺️ Recording: ${stats.interactions} request(s)`
+        : stats.mode === 'replay' ? `▶️ Replaying: ${stats.replayed}/${stats.interactions} response(s) served`
+        : stats.interactions > 0 ? `Off (live). Last recording: ${stats.interactions} request(s)`
+        : 'Off (live network)';
+    document.getElementById('chatCassetteRecord')?.classList.toggle('hidden', stats.mode === 'record');
+    document.getElementById('chatCassetteStop')?.classList.toggle('hidden', stats.mode === 'off');
+}
+
+function setupCassetteControls() {
+    const recordBtn = document.getElementById('chatCassetteRecord');
+    const stopBtn = document.getElementById('chatCassetteStop');
+    const exportBtn = document.getElementById('chatCassetteExport');
+    const fileInput = document.getElementById('chatCassetteFile');
+    if (!recordBtn || !stopBtn || !exportBtn || !fileInput) return;
+
+    recordBtn.addEventListener('click', () => {
+        startRecording();
+        updateCassetteStatus();
+    });
+    stopBtn.addEventListener('click', () => {
+        stopCassette();
+        updateCassetteStatus();
+    });
+    exportBtn.addEventListener('click', () => {
+        const stats = getCassetteStats();
+        if (stats.mode === 'replay' || stats.interactions === 0) {
+            alert('Nothing recorded yet. Press ⏺️ Record, send a message, then export.');
+            return;
+        }
+        const url = URL.createObjectURL(new Blob([JSON.stringify(exportCassette(), null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `cassette-chat-${new Date().toISOString().split('T')[0]}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    });
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            startReplay(JSON.parse(await file.text()));
+        } catch (e) {
+            alert(`Failed to load cassette: ${e.message}`);
+        }
+        updateCassetteStatus();
+    });
+    updateCassetteStatus();
+}
+
 function setupPanelToggle() {
     const toggle = document.getElementById('modelConfigToggle');
     const content = document.getElementById('modelConfigContent');
@@ -467,6 +449,12 @@ function setReferenceImageFromFile(file, sourceLabel = 'unknown') {
     });
 
     if (!file) return;
+    const blocker = getEditBlocker();
+    if (blocker) {
+        log('Rejected reference while edits are unavailable', { source: sourceLabel, reason: blocker.reason });
+        alert(`${blocker.reason} ${blocker.suggestion}`.trim());
+        return;
+    }
     if (!file.type || !file.type.startsWith('image/')) {
         log('Rejected non-image file', { source: sourceLabel, type: file?.type, name: file?.name });
         alert('Please upload an image file');
@@ -534,6 +522,7 @@ function setupReferenceUpload() {
     const log = (...args) => console.log('[chat][reference-upload]', ...args);
 
     zone.addEventListener('click', () => {
+        if (getEditBlocker()) return;
         log('zone click -> open file picker');
         input.click();
     });
@@ -603,7 +592,60 @@ async function uploadReferenceIfNeeded() {
 }
 
 function getModelConfig(modelId) {
-    return CURATED_MODELS.find(m => m.id === modelId) || null;
+    return getImageModels().find(m => m.id === modelId) || null;
+}
+
+// Why reference edits are unavailable with the current provider and model, and what
+// to switch to, or null when they work. Same rules as Pair/Reference mode on the main page.
+function getEditBlocker() {
+    const provider = providerManager.getActive();
+    const editProviders = providerManager.getAll()
+        .filter(p => p !== provider && p.capabilities.includes('image-to-image'))
+        .map(p => p.name);
+    const switchProvider = editProviders.length > 0 ? `Switch the provider to ${listNames(editProviders)}.` : '';
+
+    if (!provider.capabilities.includes('image-to-image')) {
+        return { reason: `${provider.name} can't edit images.`, suggestion: switchProvider };
+    }
+    // Judged by the active provider's own model list
+    const models = getImageModels();
+    const selected = models.find(m => m.id === state.imageModel);
+    if (!selected || selected.supportsEdit) return null;
+
+    const editModels = models.filter(m => m.supportsEdit).map(m => m.name);
+    return {
+        reason: `${selected.name} doesn't support image editing.`,
+        suggestion: editModels.length > 0 ? `Pick an edit model such as ${listNames(editModels)}.` : switchProvider
+    };
+}
+
+// Grey out the reference upload when edits are unavailable; a loaded reference stays
+// so it can be used again after switching back
+function updateEditGating() {
+    const blocker = getEditBlocker();
+    const zone = document.getElementById('chatUploadZone');
+    const hint = document.getElementById('chatEditHint');
+    const reason = blocker ? `${blocker.reason} ${blocker.suggestion}`.trim() : '';
+
+    if (zone) {
+        zone.classList.toggle('disabled', !!blocker);
+        zone.title = reason;
+    }
+    if (hint) {
+        hint.textContent = blocker ? `Reference edits are unavailable. ${reason}` : '';
+        hint.classList.toggle('hidden', !blocker);
+    }
+}
+
+// Queue position and progress from the provider, so a long queue doesn't look like a hang
+function reportChatProgress({ status, position, progress, logs = [], elapsedMs }) {
+    const details = [
+        position !== undefined ? `position ${position}` : '',
+        progress !== undefined ? `${progress}%` : '',
+        `${Math.round(elapsedMs / 1000)}s`
+    ].filter(Boolean).join(', ');
+    setStatus(true, `Generating... ${status} (${details})`);
+    appendApiLog(`  ${status} (${details})${logs.map(line => `\n  › ${line}`).join('')}`);
 }
 
 async function generateFromChat(prompt) {
@@ -613,8 +655,9 @@ async function generateFromChat(prompt) {
 
     if (state.referenceImageBase64) {
         const modelCfg = getModelConfig(state.imageModel);
-        if (modelCfg && !modelCfg.supportsEdit) {
-            throw new Error(`Model ${modelCfg.name} doesn't support edit. Choose a model with edit support or clear the reference image.`);
+        const blocker = getEditBlocker();
+        if (blocker) {
+            throw new Error([blocker.reason, blocker.suggestion, 'Or clear the reference image.'].filter(Boolean).join(' '));
         }
 
         const sourceUrl = await uploadReferenceIfNeeded();
@@ -627,13 +670,15 @@ async function generateFromChat(prompt) {
 
         const editEndpoint = modelCfg?.editEndpoint || `${state.imageModel}/edit`;
 
-        const imageUrl = await callProvider('editImage', {
+        // Providers resolve an array of outputs; chat shows one image per turn
+        const [imageUrl] = await callProvider('editImage', {
             sourceUrl,
             prompt,
             resolution,
             model: state.imageModel,
             editEndpoint,
-            dynamicParams: mappedParams
+            dynamicParams: mappedParams,
+            onProgress: reportChatProgress
         }, {
             label: 'editImage',
             extraSummary: `(model=${state.imageModel} prompt="${summarizePrompt(prompt)}")`
@@ -649,12 +694,13 @@ async function generateFromChat(prompt) {
         { prompt }
     );
 
-    const imageUrl = await callProvider('generateImage', {
+    const [imageUrl] = await callProvider('generateImage', {
         prompt,
         aspectRatio,
         resolution,
         model: state.imageModel,
-        dynamicParams: mappedParams
+        dynamicParams: mappedParams,
+        onProgress: reportChatProgress
     }, {
         label: 'generateImage',
         extraSummary: `(model=${state.imageModel} prompt="${summarizePrompt(prompt)}")`
@@ -664,7 +710,13 @@ async function generateFromChat(prompt) {
 }
 
 async function init() {
+    migrateLegacyApiKeys();
     loadCustomProviders();
+    applyProviderBaseUrls();
+    applyHttpSettings();
+    applyKiePollingSettings();
+    applyFalPollingSettings();
+    applyMockSettings();
 
     try {
         const savedProvider = localStorage.getItem('active_provider_id');
@@ -672,8 +724,11 @@ async function init() {
     } catch (e) {}
 
     const apiKey = await getApiKey();
+    const falKey = await getApiKey('fal');
 
-    if (!apiKey) {
+    if (!apiKey && !providerManager.getActive().requiresApiKey) {
+        setStatus(true, 'Ready (no key needed)');
+    } else if (!apiKey) {
         setStatus(false, 'No API Key');
         const notice = document.getElementById('chatKeyNotice');
         if (notice) notice.classList.remove('hidden');
@@ -684,12 +739,14 @@ async function init() {
         } catch (e) {
             console.error('Failed to configure provider:', e);
         }
-        schemaManager.setApiKey(apiKey);
     }
+    // Schemas come from FAL, whichever provider is active
+    if (falKey) schemaManager.setApiKey(falKey);
 
     populateProviderDropdown();
     setupApiStreamPanel();
     setupPanelToggle();
+    setupCassetteControls();
     setupReferenceUpload();
     setupChatPanelDrop();
     await populateImageModels();
@@ -714,6 +771,7 @@ async function init() {
             addMessage({ role: 'assistant', text: `Error: ${e.message || e.toString()}` });
             setStatus(false, 'Error');
         }
+        updateCassetteStatus();
     };
 
     if (sendBtn) sendBtn.addEventListener('click', send);
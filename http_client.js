@@ -0,0 +1,238 @@
+/**
+ * Shared HTTP layer for providers
+ * Retries with jittered exponential backoff, Retry-After handling and per-request timeouts
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const DEFAULT_HTTP_CONFIG = {
+    retries: 2,             // Extra attempts after the first one
+    baseDelayMs: 1000,      // Backoff starts here and doubles per attempt
+    maxDelayMs: 30000,      // Upper bound for backoff and Retry-After waits
+    timeoutMs: 120000,      // Per attempt; 0 disables the timeout
+    longRunningTimeoutMs: 600000, // For synchronous generation calls (longRunning: true); 0 disables it
+    retryStatuses: [408, 429, 500, 502, 503, 504]
+};
+
+// Methods a repeat can't duplicate work for. Other requests (POST, PATCH) may already have been
+// accepted, and billed, when they time out or fail, so they are only retried when the server
+// says it didn't process them.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+let httpConfig = { ...DEFAULT_HTTP_CONFIG };
+
+export function configureHttp(overrides = {}) {
+    const next = { ...httpConfig };
+    for (const key of Object.keys(DEFAULT_HTTP_CONFIG)) {
+        if (overrides[key] !== undefined && overrides[key] !== null) {
+            next[key] = overrides[key];
+        }
+    }
+    httpConfig = next;
+    return getHttpConfig();
+}
+
+export function getHttpConfig() {
+    return { ...httpConfig };
+}
+
+// =============================================================================
+// Transport
+// =============================================================================
+
+// Network requests go through the transport; cassette.js swaps it to record or replay traffic
+let transport = null;
+
+export function setHttpTransport(fn) {
+    transport = fn || null;
+}
+
+// fetch() through the current transport, for SDK clients that take a custom fetch
+export function transportFetch(url, options = {}) {
+    return transport ? transport(url, options) : fetch(url, options);
+}
+
+// =============================================================================
+// Errors
+// =============================================================================
+
+export class HttpError extends Error {
+    constructor(message, { status = null, body = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.body = body;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Transient failures worth trying again: 5xx, 408/429, timeouts, quota and network errors.
+// Uses `error.status` when set, otherwise the status embedded in the message.
+export function isRetryableError(error) {
+    const status = error?.status;
+    if (status) {
+        return status >= 500 || status === 408 || status === 429;
+    }
+    const message = String(error?.message || error);
+    return /\b(5\d\d|408|429)\b|timeout|timed out|quota|rate limit|insufficient (credits|balance)|overloaded|failed to fetch|networkerror/i.test(message);
+}
+
+// A 429, or a 503 with Retry-After, means the request was turned away before any work,
+// so even a job submission can safely be sent again
+export function wasNotProcessed(error) {
+    return error?.status === 429 || (error?.status === 503 && error.retryAfterMs !== null && error.retryAfterMs !== undefined);
+}
+
+// Cancellation via AbortSignal (Stop button), as opposed to a failure
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// "Full jitter": random delay up to the exponential step, so parallel items don't retry in lockstep
+function backoffDelay(attempt, config) {
+    const step = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+    return Math.random() * step;
+}
+
+// Abortable delay for polling loops and backoff
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Reject as soon as the signal aborts, for SDK calls that can't take a signal themselves
+export function abortable(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+async function fetchWithTimeout(url, options, timeoutMs) {
+    if (!timeoutMs) {
+        return await transportFetch(url, options);
+    }
+
+    const controller = new AbortController();
+    const callerSignal = options.signal;
+    const onCallerAbort = () => controller.abort(callerSignal.reason);
+    callerSignal?.addEventListener('abort', onCallerAbort, { once: true });
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+
+    try {
+        return await transportFetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+        if (timedOut) {
+            throw new HttpError(`Request timed out after ${Math.round(timeoutMs / 1000)}s: ${url}`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        callerSignal?.removeEventListener('abort', onCallerAbort);
+    }
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Run `fn(attempt)` and retry it while it throws retryable errors.
+ * Options override the global config (retries, baseDelayMs, maxDelayMs) and may carry a `signal`
+ * and a `shouldRetry(error)` that replaces isRetryableError.
+ */
+export async function withRetries(fn, options = {}) {
+    const config = { ...httpConfig, ...options };
+    const shouldRetry = options.shouldRetry || isRetryableError;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= config.retries || options.signal?.aborted || !shouldRetry(error)) {
+                throw error;
+            }
+            const delay = Math.min(config.maxDelayMs, error.retryAfterMs ?? backoffDelay(attempt, config));
+            console.warn(`[http] Attempt ${attempt + 1} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+            await sleep(delay, options.signal);
+        }
+    }
+}
+
+/**
+ * Drop-in replacement for fetch() with a per-attempt timeout and retries on network
+ * errors and retryable statuses. Resolves with the final Response, ok or not, so callers
+ * keep their own error handling. Extra options: retries, timeoutMs, baseDelayMs, maxDelayMs,
+ * longRunning (use longRunningTimeoutMs, for calls that generate before responding) and
+ * idempotent (retry like a GET; defaults from the method).
+ */
+export async function httpFetch(url, options = {}) {
+    const { retries, timeoutMs, baseDelayMs, maxDelayMs, longRunning, idempotent, ...fetchOptions } = options;
+    const config = { ...httpConfig };
+    if (longRunning) config.timeoutMs = config.longRunningTimeoutMs;
+    if (retries !== undefined) config.retries = retries;
+    if (timeoutMs !== undefined) config.timeoutMs = timeoutMs;
+    if (baseDelayMs !== undefined) config.baseDelayMs = baseDelayMs;
+    if (maxDelayMs !== undefined) config.maxDelayMs = maxDelayMs;
+    const repeatable = idempotent ?? IDEMPOTENT_METHODS.includes((fetchOptions.method || 'GET').toUpperCase());
+
+    // Only network requests can fail transiently
+    if (/^(blob|data):/.test(String(url))) {
+        return await fetch(url, fetchOptions);
+    }
+
+    return await withRetries(async (attempt) => {
+        const response = await fetchWithTimeout(url, fetchOptions, config.timeoutMs);
+
+        if (config.retryStatuses.includes(response.status) && attempt < config.retries) {
+            const error = new HttpError(`HTTP ${response.status} from ${url}`, {
+                status: response.status,
+                retryAfterMs: parseRetryAfter(response.headers.get('Retry-After'))
+            });
+            if (!repeatable && !wasNotProcessed(error)) return response;
+            // Release the connection; the caller only ever sees the last response
+            response.body?.cancel().catch(() => {});
+            throw error;
+        }
+        return response;
+    }, { ...config, signal: fetchOptions.signal, shouldRetry: repeatable ? isRetryableError : wasNotProcessed });
+}
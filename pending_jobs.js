@@ -0,0 +1,63 @@
+/**
+ * Pending Jobs - queued FAL.ai requests and Kie.ai tasks that haven't been collected yet
+ * Kept in IndexedDB with their item context, so a reloaded page can reattach to them
+ */
+
+const DB_NAME = 'lorafactory';
+const DB_VERSION = 1;
+const STORE = 'pending_jobs';
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            dbPromise = null; // Allow a retry (e.g. after a blocked upgrade)
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+// Run one request against the store and resolve with its result once the transaction commits
+async function withStore(mode, fn) {
+    const db = await openDb();
+    return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = fn(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+export function pendingJobKey(job) {
+    return `${job.providerId}:${job.jobId}`;
+}
+
+/**
+ * Save a submitted job: { providerId, jobId, endpoint, model, context }.
+ * `context` must be structured-clonable; it is handed back unchanged by listPendingJobs().
+ */
+export async function savePendingJob(job) {
+    const record = { ...job, key: pendingJobKey(job), submittedAt: job.submittedAt || Date.now() };
+    await withStore('readwrite', store => store.put(record));
+    return record.key;
+}
+
+export async function removePendingJob(key) {
+    await withStore('readwrite', store => store.delete(key));
+}
+
+// Oldest first, so resumed items keep their original order
+export async function listPendingJobs() {
+    const jobs = await withStore('readonly', store => store.getAll());
+    return (jobs || []).sort((a, b) => a.submittedAt - b.submittedAt);
+}
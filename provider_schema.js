@@ -0,0 +1,125 @@
+/**
+ * Provider Schema - Validates custom provider definitions against custom_provider.schema.json
+ * Implements the subset of JSON Schema the published schema uses
+ */
+
+const SCHEMA_URL = './custom_provider.schema.json';
+export const PROVIDER_EXPORT_VERSION = 1;
+
+let schemaPromise = null;
+
+export function loadProviderSchema() {
+    if (!schemaPromise) {
+        schemaPromise = fetch(SCHEMA_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`Failed to load provider schema (${response.status})`);
+                return response.json();
+            })
+            .catch(error => {
+                schemaPromise = null; // Allow a retry on the next import
+                throw error;
+            });
+    }
+    return schemaPromise;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return [].concat(type).some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+function resolveRef(ref, root) {
+    // Only local refs (#/definitions/...) are used
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+}
+
+// Collect "path: message" errors for `value` against `schema`
+function validate(value, schema, root, path, errors) {
+    if (schema.$ref) {
+        validate(value, resolveRef(schema.$ref, root), root, path, errors);
+        return;
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push(`${path}: expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path}: must match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => validate(item, schema.items, root, `${path}[${i}]`, errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path}: missing required "${key}"`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                validate(item, propertySchema, root, `${path}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unknown property "${key}"`);
+            } else if (typeOf(schema.additionalProperties) === 'object') {
+                validate(item, schema.additionalProperties, root, `${path}.${key}`, errors);
+            }
+        }
+    }
+}
+
+/**
+ * Validate an imported file. Accepts the export format ({ version, providers }),
+ * a bare array of providers or a single provider object.
+ * Returns { providers, errors }; providers is empty when anything is invalid.
+ */
+export async function validateProviderFile(data) {
+    const schema = await loadProviderSchema();
+
+    let file = data;
+    if (Array.isArray(data)) {
+        file = { version: PROVIDER_EXPORT_VERSION, providers: data };
+    } else if (data && typeof data === 'object' && !('providers' in data)) {
+        file = { version: PROVIDER_EXPORT_VERSION, providers: [data] };
+    }
+
+    const errors = [];
+    validate(file, schema, schema, '$', errors);
+
+    const ids = (file?.providers || []).map(p => p?.id);
+    const duplicates = ids.filter((id, i) => id && ids.indexOf(id) !== i);
+    if (duplicates.length > 0) {
+        errors.push(`$.providers: duplicate id ${[...new Set(duplicates)].join(', ')}`);
+    }
+
+    return { providers: errors.length === 0 ? file.providers : [], errors };
+}
+
+export function buildProviderExport(providers) {
+    return {
+        $schema: SCHEMA_URL.replace(/^\.\//, ''),
+        version: PROVIDER_EXPORT_VERSION,
+        providers
+    };
+}
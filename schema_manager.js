@@ -193,7 +193,7 @@ export class SchemaManager {
      * @private
      */
     _categorizeParameter(paramName) {
-        // Exclude num_images - it's controlled by "Number of Pairs" in the sidebar, not model config
+        // Exclude num_images - it is set by "Images per Prompt" in the sidebar, not model config
         if (paramName === 'num_images') {
             return 'hidden';
         }
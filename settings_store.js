@@ -0,0 +1,259 @@
+/**
+ * Settings Store - stored API keys and provider settings, shared by index.html and chat.html
+ * The main page edits these settings; both pages read and apply them through this module
+ */
+
+import { providerManager } from './api_providers.js';
+import { configureHttp } from './http_client.js';
+
+// =============================================================================
+// Security & Encryption Utilities
+// =============================================================================
+
+const ENCRYPTION_CONFIG = {
+    algorithm: 'AES-GCM',
+    keyLength: 256,
+    ivLength: 12,
+    saltLength: 16,
+    iterations: 100000
+};
+
+// Derive encryption key from password using PBKDF2
+async function deriveKey(password, salt) {
+    const enc = new TextEncoder();
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        enc.encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits', 'deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        {
+            name: 'PBKDF2',
+            salt: salt,
+            iterations: ENCRYPTION_CONFIG.iterations,
+            hash: 'SHA-256'
+        },
+        keyMaterial,
+        { name: ENCRYPTION_CONFIG.algorithm, length: ENCRYPTION_CONFIG.keyLength },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Encrypt data with password
+export async function encryptData(data, password) {
+    const enc = new TextEncoder();
+    const salt = crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.saltLength));
+    const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.ivLength));
+    const key = await deriveKey(password, salt);
+
+    const encrypted = await crypto.subtle.encrypt(
+        { name: ENCRYPTION_CONFIG.algorithm, iv: iv },
+        key,
+        enc.encode(data)
+    );
+
+    // Combine salt + iv + encrypted data
+    const combined = new Uint8Array(salt.length + iv.length + encrypted.byteLength);
+    combined.set(salt, 0);
+    combined.set(iv, salt.length);
+    combined.set(new Uint8Array(encrypted), salt.length + iv.length);
+
+    return btoa(String.fromCharCode(...combined));
+}
+
+// Decrypt data with password
+export async function decryptData(encryptedBase64, password) {
+    try {
+        const combined = Uint8Array.from(atob(encryptedBase64), c => c.charCodeAt(0));
+
+        const salt = combined.slice(0, ENCRYPTION_CONFIG.saltLength);
+        const iv = combined.slice(ENCRYPTION_CONFIG.saltLength, ENCRYPTION_CONFIG.saltLength + ENCRYPTION_CONFIG.ivLength);
+        const encrypted = combined.slice(ENCRYPTION_CONFIG.saltLength + ENCRYPTION_CONFIG.ivLength);
+
+        const key = await deriveKey(password, salt);
+
+        const decrypted = await crypto.subtle.decrypt(
+            { name: ENCRYPTION_CONFIG.algorithm, iv: iv },
+            key,
+            encrypted
+        );
+
+        return new TextDecoder().decode(decrypted);
+    } catch (e) {
+        throw new Error('Decryption failed - incorrect password or corrupted data');
+    }
+}
+
+// =============================================================================
+// API Keys
+// =============================================================================
+
+// Security settings stored in localStorage
+export function getSecuritySettings() {
+    const defaults = {
+        useEncryption: false,
+        useSessionStorage: false,
+        autoClockMinutes: 0 // 0 = disabled
+    };
+    const stored = localStorage.getItem('security_settings');
+    return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
+}
+
+export function setSecuritySettings(settings) {
+    localStorage.setItem('security_settings', JSON.stringify(settings));
+}
+
+// Get the appropriate storage
+export function getStorage() {
+    const settings = getSecuritySettings();
+    return settings.useSessionStorage ? sessionStorage : localStorage;
+}
+
+// Keys are stored per provider ID ('api_key_fal', 'api_key_kie', ...), all under the
+// same encryption and storage settings, so switching providers keeps each key
+export function apiKeyStorageName(providerId) {
+    return `api_key_${providerId}`;
+}
+
+// Earlier versions kept one 'fal_api_key' for whichever provider was active. Either page
+// may open first, so both run this before anything can change 'active_provider_id'.
+export function migrateLegacyApiKeys() {
+    const storage = getStorage();
+    const value = storage.getItem('fal_api_key');
+    if (value === null) return;
+
+    const owner = apiKeyStorageName(localStorage.getItem('active_provider_id') || 'fal');
+    if (storage.getItem(owner) === null) {
+        storage.setItem(owner, value);
+    }
+    storage.removeItem('fal_api_key');
+}
+
+// Get a provider's stored API key (decrypt if needed); defaults to the active provider
+export async function getApiKey(providerId = providerManager.activeProviderId) {
+    const settings = getSecuritySettings();
+    const storage = getStorage();
+    const stored = storage.getItem(apiKeyStorageName(providerId));
+
+    if (!stored) return '';
+
+    if (settings.useEncryption) {
+        // Key is encrypted, need password
+        const password = sessionStorage.getItem('encryption_password');
+        if (!password) {
+            return ''; // Password not in session, need to re-enter
+        }
+        try {
+            return await decryptData(stored, password);
+        } catch (e) {
+            console.error('Decryption failed:', e);
+            return '';
+        }
+    }
+
+    return stored;
+}
+
+// =============================================================================
+// Provider Settings
+// =============================================================================
+
+function readJson(name) {
+    try {
+        const stored = localStorage.getItem(name);
+        return stored ? JSON.parse(stored) : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+export function getProviderBaseUrls() {
+    return readJson('provider_base_urls');
+}
+
+// Apply persisted base URLs to every provider that supports one
+export function applyProviderBaseUrls() {
+    const urls = getProviderBaseUrls();
+    providerManager.getAll().forEach(provider => {
+        if (!provider.defaultBaseUrl) return;
+        try {
+            provider.setBaseUrl(urls[provider.id] || '');
+        } catch (e) {
+            console.error(`Failed to set base URL for ${provider.id}:`, e);
+        }
+    });
+}
+
+export function getHttpSettings() {
+    return readJson('http_settings');
+}
+
+export function applyHttpSettings() {
+    const settings = getHttpSettings();
+    configureHttp({
+        retries: settings.retries,
+        timeoutMs: settings.timeoutSeconds !== undefined ? settings.timeoutSeconds * 1000 : undefined
+    });
+}
+
+export function getKiePollingSettings() {
+    return readJson('kie_polling');
+}
+
+export function applyKiePollingSettings() {
+    const provider = providerManager.get('kie');
+    if (!provider) return;
+
+    const settings = getKiePollingSettings();
+    const toMs = (seconds) => seconds !== undefined ? seconds * 1000 : undefined;
+    provider.configurePolling({
+        intervalMs: toMs(settings.intervalSeconds),
+        maxIntervalMs: toMs(settings.maxIntervalSeconds),
+        timeoutMs: toMs(settings.timeoutSeconds)
+    });
+}
+
+export function getFalPollingSettings() {
+    return readJson('fal_polling');
+}
+
+export function applyFalPollingSettings() {
+    const provider = providerManager.get('fal');
+    if (!provider) return;
+
+    const settings = getFalPollingSettings();
+    provider.configurePolling({
+        timeoutMs: settings.timeoutSeconds !== undefined ? settings.timeoutSeconds * 1000 : undefined
+    });
+}
+
+export function getMockSettings() {
+    return readJson('mock_provider');
+}
+
+export function applyMockSettings() {
+    const provider = providerManager.get('mock');
+    if (!provider) return;
+
+    const settings = getMockSettings();
+    provider.configureSimulation({
+        minLatencyMs: settings.minLatencyMs,
+        maxLatencyMs: settings.maxLatencyMs,
+        failureRate: settings.failurePercent !== undefined ? settings.failurePercent / 100 : undefined,
+        captionTemplate: settings.captionTemplate || undefined
+    });
+}
+
+// =============================================================================
+// UI Text
+// =============================================================================
+
+// "A, B or C" for suggestions
+export function listNames(names, max = 3) {
+    const shown = names.slice(0, max);
+    return shown.length > 1 ? `${shown.slice(0, -1).join(', ')} or ${shown[shown.length - 1]}` : shown[0] || '';
+}
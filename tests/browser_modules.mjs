@@ -0,0 +1,21 @@
+/**
+ * Module hooks that let Node load the browser modules for tests: the root .js files are
+ * ES modules (there is no package.json to say so), and the FAL client normally comes from
+ * esm.sh, so it is replaced by a stand-in with the one method used at load time.
+ */
+
+const FAL_CLIENT = 'https://esm.sh/@fal-ai/client';
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith(FAL_CLIENT)) {
+        return { url: 'data:text/javascript,export const fal = { config() {} };', shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith('file:') && url.endsWith('.js')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
@@ -0,0 +1,156 @@
+/**
+ * Pure helpers: custom provider templates and response paths, provider file validation,
+ * the HTTP retry decision and chat-completion image extraction.
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import { readFile } from 'node:fs/promises';
+
+register('./browser_modules.mjs', import.meta.url);
+globalThis.window = {};
+
+const { GenericProvider, extractChatImageUrls } = await import('../api_providers.js');
+const { validateProviderFile } = await import('../provider_schema.js');
+const { configureHttp, httpFetch, isRetryableError, wasNotProcessed, HttpError } = await import('../http_client.js');
+
+const SCHEMA = JSON.parse(await readFile(new URL('../custom_provider.schema.json', import.meta.url), 'utf8'));
+
+// Answer each fetch with the next response; returns the list of requests made
+function stubFetch(responses) {
+    const calls = [];
+    globalThis.fetch = async (url, options = {}) => {
+        calls.push({ url: String(url), method: options.method || 'GET' });
+        const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+        return typeof next === 'function' ? next() : next;
+    };
+    return calls;
+}
+
+// =============================================================================
+// Custom Provider Templates
+// =============================================================================
+
+const provider = new GenericProvider({ id: 'test', name: 'Test', endpoints: {} });
+
+test('template: a lone placeholder keeps its type and defaults parse as JSON', () => {
+    const template = provider._parseTemplate('{"prompt": "{{prompt}}", "n": {{num_images|1}}, "seed": {{seed}}}');
+    assert.deepEqual(provider._renderTemplate(template, { prompt: 'a cat' }), { prompt: 'a cat', n: 1 });
+    assert.deepEqual(provider._renderTemplate(template, { prompt: 'a cat', num_images: 3, seed: 7 }), { prompt: 'a cat', n: 3, seed: 7 });
+});
+
+test('template: placeholders inside text are interpolated', () => {
+    assert.equal(provider._renderTemplate('{{width}}x{{height}}', { width: 512, height: 768 }), '512x768');
+    assert.equal(provider._fillString('/jobs/{{jobId}}?size={{size|auto}}', { jobId: 'j1' }), '/jobs/j1?size=auto');
+    assert.deepEqual(provider._renderTemplate(['{{a}}', '{{missing}}'], { a: 1 }), [1]);
+});
+
+test('response path: dots, brackets and JSON strings', () => {
+    const data = {
+        data: [{ b64_json: 'abc' }],
+        images: [{ url: 'https://x/1.png' }],
+        resultJson: '{"resultUrls": ["https://x/2.png"]}'
+    };
+    assert.equal(provider._getValueByPath(data, 'data[0].b64_json'), 'abc');
+    assert.equal(provider._getValueByPath(data, 'images.0.url'), 'https://x/1.png');
+    assert.equal(provider._getValueByPath(data, 'resultJson.resultUrls[0]'), 'https://x/2.png');
+    assert.equal(provider._getValueByPath(data, 'images[3].url'), undefined);
+});
+
+test('response path: missing results are reported with the path', () => {
+    assert.deepEqual(provider._extractResult({ output: ['u1', 'u2'] }, 'output'), ['u1', 'u2']);
+    assert.throws(() => provider._extractResult({}, 'output[0]'), /output\[0\]/);
+});
+
+// =============================================================================
+// Provider File Validation
+// =============================================================================
+
+test('schema: a valid provider passes, in any of the accepted shapes', async () => {
+    stubFetch([() => new Response(JSON.stringify(SCHEMA))]);
+    const valid = { id: 'my-api', name: 'My API', endpoints: { generateImage: { url: 'https://api.example.com/gen', responsePath: 'url' } } };
+
+    for (const file of [valid, [valid], { version: 1, providers: [valid] }]) {
+        const { providers, errors } = await validateProviderFile(file);
+        assert.deepEqual(errors, []);
+        assert.equal(providers.length, 1);
+    }
+});
+
+test('schema: errors name the offending paths', async () => {
+    stubFetch([() => new Response(JSON.stringify(SCHEMA))]);
+    const { providers, errors } = await validateProviderFile([
+        { id: 'Bad Id', name: 'A', endpoints: { generateImage: { url: 'u', method: 'DELETE' } } },
+        { id: 'b', name: 'B', endpoints: {}, extra: true }
+    ]);
+
+    assert.deepEqual(providers, []);
+    assert.ok(errors.includes('$.providers[0].id: must match ^[a-z0-9-]+$'));
+    assert.ok(errors.some(e => e.startsWith('$.providers[0].endpoints.generateImage.method: must be one of')));
+    assert.ok(errors.includes('$.providers[1].endpoints: missing required "generateImage"'));
+    assert.ok(errors.includes('$.providers[1]: unknown property "extra"'));
+});
+
+// =============================================================================
+// Retry Decision
+// =============================================================================
+
+test('retry: retryable statuses and messages', () => {
+    assert.equal(isRetryableError(new HttpError('x', { status: 503 })), true);
+    assert.equal(isRetryableError(new HttpError('x', { status: 429 })), true);
+    assert.equal(isRetryableError(new HttpError('x', { status: 400 })), false);
+    assert.equal(isRetryableError(new TypeError('Failed to fetch')), true);
+    assert.equal(isRetryableError(new Error('Invalid prompt')), false);
+});
+
+test('retry: only refusals count as not processed', () => {
+    assert.equal(wasNotProcessed(new HttpError('x', { status: 429 })), true);
+    assert.equal(wasNotProcessed(new HttpError('x', { status: 503, retryAfterMs: 1000 })), true);
+    assert.equal(wasNotProcessed(new HttpError('x', { status: 503 })), false);
+    assert.equal(wasNotProcessed(new HttpError('x', { status: 500 })), false);
+});
+
+test('retry: a POST is repeated after a 429 but not a 500; a GET after both', async () => {
+    configureHttp({ retries: 2, timeoutMs: 0 });
+    const options = { method: 'POST', baseDelayMs: 1, maxDelayMs: 1 };
+
+    let calls = stubFetch([() => new Response('', { status: 500 })]);
+    assert.equal((await httpFetch('https://api.example.com/gen', options)).status, 500);
+    assert.equal(calls.length, 1);
+
+    calls = stubFetch([() => new Response('', { status: 429 }), () => new Response('{}', { status: 200 })]);
+    assert.equal((await httpFetch('https://api.example.com/gen', options)).status, 200);
+    assert.equal(calls.length, 2);
+
+    calls = stubFetch([() => new Response('', { status: 500 }), () => new Response('{}', { status: 200 })]);
+    assert.equal((await httpFetch('https://api.example.com/status', { baseDelayMs: 1, maxDelayMs: 1 })).status, 200);
+    assert.equal(calls.length, 2);
+});
+
+// =============================================================================
+// Chat Image Extraction
+// =============================================================================
+
+test('chat images: markdown, bare image links and image parts, deduplicated in order', () => {
+    const message = {
+        content: [
+            { type: 'text', text: 'Here you go: ![image](https://cdn.example.com/a.png) and https://cdn.example.com/b.webp.' },
+            { type: 'image_url', image_url: { url: 'https://cdn.example.com/c.jpg' } },
+            { type: 'text', text: 'Page: https://example.com/about' }
+        ],
+        images: [{ type: 'image_url', image_url: { url: 'https://cdn.example.com/a.png' } }]
+    };
+    assert.deepEqual(extractChatImageUrls(message), [
+        'https://cdn.example.com/a.png',
+        'https://cdn.example.com/b.webp',
+        'https://cdn.example.com/c.jpg'
+    ]);
+});
+
+test('chat images: data URLs become object URLs and text without images yields none', () => {
+    const [url] = extractChatImageUrls({ content: 'data:image/png;base64,iVBORw0KGgo=' });
+    assert.match(url, /^blob:/);
+    assert.deepEqual(extractChatImageUrls({ content: 'No image this time.' }), []);
+});
@@ -80,7 +80,7 @@ export class UIGenerator {
         }
         
         // Note: 'hidden' category parameters (like num_images) are excluded from UI
-        // num_images is controlled by "Number of Pairs" in the sidebar
+        // num_images is set by "Images per Prompt" in the sidebar
 
         dynamicSection.appendChild(content);
 